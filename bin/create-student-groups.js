@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+// Command-line group generation for batches of rosters, using the page's grouping engine.
+// Exit codes: 0 done, 1 some group misses a program, 2 bad arguments or roster.
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  parseCSV,
+  groupStudents,
+  groupsToCSV,
+  groupsToMarkdown,
+  GROUP_THEMES,
+  SESSION_FORMAT,
+  SESSION_VERSION,
+} from '../docs/engine.js';
+
+const USAGE = `Usage: create-student-groups <roster.csv> (--size N | --groups N) [options]
+
+Options:
+  -s, --size N          maximum students per group
+  -g, --groups N        number of groups instead of a group size
+      --min-size N      smallest allowed group with --groups
+      --max-size N      largest allowed group with --groups
+      --seed N          seed for reproducible groups
+  -t, --theme NAME      group names: ${GROUP_THEMES.join(', ')}
+  -b, --balance COLUMN  balance groups on a CSV column (repeat in priority order)
+      --score COLUMN    even out a numeric column
+  -f, --format FORMAT   csv (default), markdown or json
+  -o, --output FILE     write to FILE instead of standard output
+      --class-name NAME class name stored in JSON output (default: roster file name)
+  -h, --help            show this help`;
+
+const FORMATS = ['csv', 'markdown', 'json'];
+
+class UsageError extends Error {}
+
+function positiveInteger(value, flag) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw new UsageError(`${flag} must be a positive whole number, got "${value}"`);
+  return n;
+}
+
+function readOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        size: { type: 'string', short: 's' },
+        groups: { type: 'string', short: 'g' },
+        'min-size': { type: 'string' },
+        'max-size': { type: 'string' },
+        seed: { type: 'string' },
+        theme: { type: 'string', short: 't', default: 'numeric' },
+        balance: { type: 'string', short: 'b', multiple: true, default: [] },
+        score: { type: 'string' },
+        format: { type: 'string', short: 'f', default: 'csv' },
+        output: { type: 'string', short: 'o' },
+        'class-name': { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new UsageError('Give exactly one roster CSV file');
+  const size = positiveInteger(values.size, '--size');
+  const numGroups = positiveInteger(values.groups, '--groups');
+  if ((size === undefined) === (numGroups === undefined)) throw new UsageError('Give either --size or --groups');
+  const format = values.format === 'md' ? 'markdown' : values.format;
+  if (!FORMATS.includes(format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  if (!GROUP_THEMES.includes(values.theme)) throw new UsageError(`--theme must be one of ${GROUP_THEMES.join(', ')}`);
+  let seed;
+  if (values.seed !== undefined) {
+    seed = Number(values.seed);
+    if (!Number.isInteger(seed)) throw new UsageError(`--seed must be a whole number, got "${values.seed}"`);
+  }
+  return {
+    roster: positionals[0],
+    size,
+    numGroups,
+    minSize: positiveInteger(values['min-size'], '--min-size'),
+    maxSize: positiveInteger(values['max-size'], '--max-size'),
+    seed,
+    theme: values.theme,
+    balanceBy: values.balance,
+    scoreColumn: values.score,
+    format,
+    output: values.output,
+    className: values['class-name'] ?? basename(positionals[0], extname(positionals[0])),
+  };
+}
+
+// Same shape as the page's Export JSON, so the file can be loaded back into the page
+function sessionJSON(opts, csv, result) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    className: opts.className,
+    csv,
+    programs: result.programs,
+    groupSize: result.groupSize,
+    sizing: { mode: opts.numGroups ? 'groups' : 'size', numGroups: result.numGroups, minSize: opts.minSize || 0, maxSize: opts.maxSize || 0 },
+    theme: opts.theme,
+    seed: opts.seed ?? null,
+    balanceBy: opts.balanceBy,
+    scoreColumn: opts.scoreColumn || '',
+    constraints: [],
+    groups: result.groups.map(g => ({ index: g.index, students: g.students })),
+    absent: [],
+  };
+}
+
+async function main(argv) {
+  const opts = readOptions(argv);
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  let csv;
+  try {
+    csv = (await readFile(opts.roster, 'utf8')).trim();
+  } catch (err) {
+    throw new UsageError(`Cannot read ${opts.roster}: ${err.message}`);
+  }
+  let parsed;
+  try {
+    parsed = parseCSV(csv);
+  } catch (err) {
+    throw new UsageError(`${opts.roster}: ${err.message}`);
+  }
+  for (const r of parsed.skipped) console.error(`${opts.roster}:${r.line}: skipped (${r.reason})`);
+  for (const column of [...opts.balanceBy, ...(opts.scoreColumn ? [opts.scoreColumn] : [])]) {
+    if (!parsed.columns.includes(column)) throw new UsageError(`${opts.roster} has no column "${column}"`);
+  }
+
+  let result;
+  try {
+    result = groupStudents(parsed.students, opts.size || 0, opts.seed, {
+      balanceBy: opts.balanceBy,
+      scoreColumn: opts.scoreColumn,
+      ...(opts.numGroups ? { numGroups: opts.numGroups, minSize: opts.minSize, maxSize: opts.maxSize } : {}),
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const content = opts.format === 'json'
+    ? JSON.stringify(sessionJSON(opts, csv, result), null, 2)
+    : opts.format === 'markdown'
+      ? groupsToMarkdown(result.groups, [], opts.theme)
+      : groupsToCSV(result.groups);
+  if (opts.output) await writeFile(opts.output, content + '\n');
+  else process.stdout.write(content + '\n');
+
+  const uncovered = result.groups.filter(g => g.missingPrograms);
+  for (const g of uncovered) console.error(`Group ${g.index} is missing: ${g.missingPrograms.join(', ')}`);
+  return uncovered.length > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error(`create-student-groups: ${err.message}`);
+    if (err instanceof UsageError) console.error('Run with --help for usage.');
+    process.exitCode = 2;
+  }
+);
@@ -1,12 +1,40 @@
-// Simple PRNG for deterministic shuffles
-function mulberry32(a) {
-  return function() {
-    a |= 0; a = a + 0x6D2B79F5 | 0;
-    let t = Math.imul(a ^ a >>> 15, 1 | a);
-    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
-    return ((t ^ t >>> 14) >>> 0) / 4294967296;
-  }
-}
+import {
+  csvField,
+  NAME_ALIASES,
+  PROGRAM_ALIASES,
+  generatedStudentId,
+  parseCSV,
+  parseGroupsCSV,
+  appendRosterRow,
+  studentKey,
+  pastPairCounts,
+  pastRoleCounts,
+  assignRoles,
+  assignRooms,
+  assignTAs,
+  countRepeatPairs,
+  studentScore,
+  scoreStats,
+  constraintViolations,
+  withGroupWarnings,
+  groupStudents,
+  reshuffleLayout,
+  reshuffleRespectingLocksToGroupSize,
+  groupCapacity,
+  lockedStayInPlace,
+  placementGroupIndex,
+  planRotation,
+  rotationStats,
+  themedGroupNames,
+  groupsToCSV,
+  groupsToMarkdown,
+  rotationToCSV,
+  rotationToMarkdown,
+  taSummaryMarkdown,
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  parseSession,
+} from './engine.js';
 
 // Generate distinct colors for study programs
 function getProgramColors(programs) {
@@ -25,299 +53,10 @@ function getProgramColors(programs) {
   return programColors;
 }
 
-function shuffleInPlace(arr, rng) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor((rng ? rng() : Math.random()) * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-}
-
-function parseCSV(text) {
-  const lines = text.split(/\r?\n/).filter(l => l.trim().length > 0);
-  if (lines.length === 0) throw new Error('CSV is empty');
-  const headerRaw = lines[0].split(',');
-  const header = headerRaw.map(s => s.trim().toLowerCase());
-  const nameAliases = new Set(['name','student','student_name','student name']);
-  const programAliases = new Set(['program','programme','study_program','study programme','studyprogram','major']);
-  let nameIdx = -1, progIdx = -1;
-  for (let i = 0; i < header.length; i++) {
-    if (nameAliases.has(header[i])) nameIdx = i;
-    if (programAliases.has(header[i])) progIdx = i;
-  }
-  // Fallback: if exactly two columns and unknown headers, assume order: name, program
-  if (nameIdx === -1 || progIdx === -1) {
-    if (header.length >= 2) {
-      nameIdx = 0;
-      progIdx = 1;
-    } else {
-      throw new Error("Missing 'name' or 'program' header");
-    }
-  }
-  const students = [];
-  for (let i = 1; i < lines.length; i++) {
-    const row = lines[i].split(',');
-    const name = (row[nameIdx] || '').trim();
-    const program = (row[progIdx] || '').trim();
-    if (!name || !program) continue;
-    students.push({ name, program });
-  }
-  if (students.length === 0) throw new Error('No students found in CSV');
-  return students;
-}
-
-function groupStudents(students, groupSize, seed) {
-  if (groupSize <= 0) throw new Error('group_size must be positive');
-  const total = students.length;
-  if (total === 0) throw new Error('No students');
-
-  const programMap = new Map();
-  for (const s of students) {
-    if (!programMap.has(s.program)) programMap.set(s.program, []);
-    programMap.get(s.program).push({ ...s });
-  }
-  const programs = Array.from(programMap.keys()).sort();
-  const numPrograms = programs.length;
-
-  const rng = (typeof seed === 'number') ? mulberry32(seed) : undefined;
-  for (const p of programs) shuffleInPlace(programMap.get(p), rng);
-
-  const numGroups = Math.ceil(total / groupSize);
-  
-  // Check which programs have enough students for all groups
-  const programsWithEnough = [];
-  const programsWithShortage = [];
-  for (const p of programs) {
-    if (programMap.get(p).length >= numGroups) {
-      programsWithEnough.push(p);
-    } else {
-      programsWithShortage.push(p);
-    }
-  }
-
-  const groups = Array.from({ length: numGroups }, () => []);
-
-  // Assign students trying to include as many distinct programs as possible
-  for (const p of programsWithEnough) {
-    const bucket = programMap.get(p);
-    for (let g = 0; g < numGroups; g++) {
-      if (groups[g].length < groupSize && bucket.length > 0) {
-        groups[g].push({ ...bucket.pop(), locked: false });
-      }
-    }
-  }
-
-  // Distribute students from programs with shortages
-  for (const p of programsWithShortage) {
-    const bucket = programMap.get(p);
-    let g = 0;
-    while (bucket.length > 0) {
-      if (groups[g].length < groupSize) {
-        groups[g].push({ ...bucket.pop(), locked: false });
-      }
-      g = (g + 1) % numGroups;
-      // if all full, break
-      if (groups.every(gr => gr.length >= groupSize)) break;
-    }
-  }
-
-  // Distribute remaining students
-  const rest = [];
-  for (const p of programs) rest.push(...programMap.get(p));
-  shuffleInPlace(rest, rng);
-
-  for (const s of rest) {
-    groups.sort((a, b) => a.length - b.length);
-    for (const g of groups) {
-      if (g.length < groupSize) { g.push({ ...s, locked: false }); break; }
-    }
-    if (groups.every(gr => gr.length >= groupSize)) break;
-  }
-
-  // Calculate missing programs for each group
-  const groupsWithWarnings = groups.map((students, i) => {
-    const presentPrograms = new Set(students.map(s => s.program));
-    const missingPrograms = programs.filter(p => !presentPrograms.has(p));
-    return { 
-      index: i + 1, 
-      students,
-      missingPrograms: missingPrograms.length > 0 ? missingPrograms : null
-    };
-  });
-
-  return {
-    groupSize,
-    numGroups,
-    programs,
-    groups: groupsWithWarnings
-  };
-}
-
-function reshuffleRespectingLocks(groups, programs, groupSize, seed) {
-  const rng = (typeof seed === 'number') ? mulberry32(seed) : undefined;
-  const numGroups = groups.length;
-
-  const lockedPerGroup = groups.map(g => g.students.filter(s => s.locked));
-  for (let i = 0; i < numGroups; i++) {
-    // If too many locks for the target size, keep all locks but we'll exceed coverage; capacity will be enforced later for unlocked fills
-  }
-
-  // Pool unlocked
-  const unlockedPool = [];
-  for (const g of groups) {
-    for (const s of g.students) if (!s.locked) unlockedPool.push({ name: s.name, program: s.program, locked: false });
-  }
-
-  // Present programs per group (from locked)
-  const presentPerGroup = lockedPerGroup.map(list => new Set(list.map(s => s.program)));
-
-  // Feasibility: no hard errors; we'll warn later via missing programs
-
-  // Start with locked
-  const result = lockedPerGroup.map(list => list.map(s => ({ ...s, locked: true })));
-
-  // Build program queues
-  const queues = {};
-  for (const s of unlockedPool) {
-    (queues[s.program] ||= []).push(s);
-  }
-  for (const p of Object.keys(queues)) shuffleInPlace(queues[p], rng);
-
-  // Fill missing programs
-  for (let i = 0; i < numGroups; i++) {
-    const present = presentPerGroup[i];
-    const missing = programs.filter(p => !present.has(p));
-    for (const p of missing) {
-      if (result[i].length >= groupSize) break;
-      const q = queues[p];
-      if (!q || q.length === 0) continue; // can't satisfy, leave as missing
-      result[i].push({ ...q.pop(), locked: false });
-    }
-  }
-
-  // Distribute remaining
-  const leftover = [];
-  for (const p in queues) leftover.push(...queues[p]);
-  shuffleInPlace(leftover, rng);
-  for (const s of leftover) {
-    // Append to the current smallest group without reordering the groups array
-    let minIdx = 0;
-    let minLen = result[0] ? result[0].length : 0;
-    for (let i = 1; i < result.length; i++) {
-      if (result[i].length < minLen) { minLen = result[i].length; minIdx = i; }
-    }
-    if (result[minIdx].length < groupSize) result[minIdx].push({ ...s, locked: false });
-  }
-
-  return result.map((students, i) => ({ index: i + 1, students }));
-}
-
-function reshuffleRespectingLocksToGroupSize(groups, programs, groupSize, seed) {
-  const rng = (typeof seed === 'number') ? mulberry32(seed) : undefined;
-  const totalStudents = groups.reduce((acc, g) => acc + g.students.length, 0);
-  const targetNumGroups = Math.max(1, Math.ceil(totalStudents / groupSize));
-
-  // Collect locked and unlocked
-  const lockedAll = [];
-  const unlockedPool = [];
-  for (const g of groups) {
-    for (const s of g.students) {
-      if (s.locked) lockedAll.push({ ...s }); else unlockedPool.push({ name: s.name, program: s.program, locked: false });
-    }
-  }
-
-  // Build program counts for feasibility
-  const counts = {};
-  for (const s of lockedAll) counts[s.program] = (counts[s.program] || 0) + 1;
-  for (const s of unlockedPool) counts[s.program] = (counts[s.program] || 0) + 1;
-
-  const numPrograms = programs.length;
-  
-  // Check which programs have enough students for all groups
-  const programsWithEnough = [];
-  const programsWithShortage = [];
-  for (const p of programs) {
-    if ((counts[p] || 0) >= targetNumGroups) {
-      programsWithEnough.push(p);
-    } else {
-      programsWithShortage.push(p);
-    }
-  }
-
-  // Initialize target groups and present programs
-  const result = Array.from({ length: targetNumGroups }, () => []);
-  const presentPerGroup = Array.from({ length: targetNumGroups }, () => new Set());
-
-  // Place locked cohorts: map each original locked group to a distinct target slot
-  const lockedGroups = groups
-    .map((g, idx) => ({ idx, locked: g.students.filter(s => s.locked).map(s => ({ ...s, locked: true })) }))
-    .filter(x => x.locked.length > 0);
-  if (lockedGroups.length > targetNumGroups) {
-    // Not possible to reduce number of groups without merging locked cohorts
-    throw new Error('Too many groups with locked students to merge without moving them.');
-  }
-  // Assign locked cohorts to the first N target groups
-  for (let i = 0; i < lockedGroups.length; i++) {
-    for (const s of lockedGroups[i].locked) {
-      result[i].push({ name: s.name, program: s.program, locked: true });
-      presentPerGroup[i].add(s.program);
-    }
-  }
-
-  // Build queues for unlocked and shuffle
-  const queues = {};
-  for (const s of unlockedPool) (queues[s.program] ||= []).push(s);
-  for (const p of Object.keys(queues)) shuffleInPlace(queues[p], rng);
-
-  // Fill missing programs per group first (only those with enough students)
-  for (let i = 0; i < targetNumGroups; i++) {
-    const missing = programsWithEnough.filter(p => !presentPerGroup[i].has(p));
-    for (const p of missing) {
-      if (result[i].length >= groupSize) break; // respect capacity first
-      const q = queues[p];
-      if (!q || q.length === 0) continue; // cannot satisfy, will warn later
-      const s = q.pop();
-      result[i].push({ ...s, locked: false });
-      presentPerGroup[i].add(s.program);
-    }
-  }
-
-  // Distribute any leftover
-  const leftover = [];
-  for (const p in queues) leftover.push(...queues[p]);
-  shuffleInPlace(leftover, rng);
-  // Prefer placing leftovers into groups without locked cohorts first, to allow merging lock-free groups
-  const targetOrder = Array.from({ length: targetNumGroups }, (_, i) => i)
-    .sort((a, b) => {
-      const aHasLocks = result[a].some(s => s.locked);
-      const bHasLocks = result[b].some(s => s.locked);
-      if (aHasLocks === bHasLocks) return result[a].length - result[b].length;
-      return aHasLocks ? 1 : -1; // groups without locks first
-    });
-  for (const s of leftover) {
-    // pick the first group in order with capacity
-    let placed = false;
-    for (const idx of targetOrder) {
-      if (result[idx].length < groupSize) {
-        result[idx].push({ ...s, locked: false });
-        placed = true;
-        break;
-      }
-    }
-    if (!placed) break;
-  }
-
-  // Calculate missing programs for each group
-  const groupsWithWarnings = result.map((students, i) => {
-    const presentPrograms = new Set(students.map(s => s.program));
-    const missingPrograms = programs.filter(p => !presentPrograms.has(p));
-    return { 
-      index: i + 1, 
-      students,
-      missingPrograms: missingPrograms.length > 0 ? missingPrograms : null
-    };
-  });
-
-  return groupsWithWarnings;
+// Text for innerHTML and attribute values. Names, programs, rooms and the like come from CSV and
+// JSON files, share links and saved classes, so they are never put into markup unescaped.
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 }
 
 // UI logic
@@ -325,12 +64,24 @@ const els = {
   csv: document.getElementById('csv'),
   csvText: document.getElementById('csv_text'),
   groupSize: document.getElementById('group_size'),
+  numGroups: document.getElementById('num_groups'),
+  sizeMode: document.getElementById('size_mode'),
+  sizeLabel: document.getElementById('size-label'),
+  sizeLimits: document.getElementById('size-limits'),
+  minSize: document.getElementById('min_size'),
+  maxSize: document.getElementById('max_size'),
   seed: document.getElementById('seed'),
   setupForm: document.getElementById('setup-form'),
   groups: document.getElementById('groups'),
   placeholder: document.getElementById('placeholder'),
+  undo: document.getElementById('undo'),
+  redo: document.getElementById('redo'),
   exportCsv: document.getElementById('export-csv'),
   exportMd: document.getElementById('export-md'),
+  exportJson: document.getElementById('export-json'),
+  exportTAs: document.getElementById('export-tas'),
+  shareLink: document.getElementById('share-link'),
+  printCards: document.getElementById('print-cards'),
   studentView: document.getElementById('student-view'),
   theme: document.getElementById('theme'),
   incSize: document.getElementById('inc-size'),
@@ -339,25 +90,59 @@ const els = {
   saveClass: document.getElementById('save-class'),
   loadFileLink: document.getElementById('load-file-link'),
   absentList: document.getElementById('absent-list'),
+  balanceList: document.getElementById('balance-list'),
+  scoreColumn: document.getElementById('score-column'),
+  constraintList: document.getElementById('constraint-list'),
+  addConstraint: document.getElementById('add-constraint'),
+  sessionDate: document.getElementById('session-date'),
+  prefillAbsent: document.getElementById('prefill-absent'),
+  attendanceReport: document.getElementById('attendance-report'),
+  newStudentName: document.getElementById('new-student-name'),
+  newStudentProgram: document.getElementById('new-student-program'),
+  addStudent: document.getElementById('add-student'),
+  planRotation: document.getElementById('plan-rotation'),
+  roleList: document.getElementById('role-list'),
+  assignRoles: document.getElementById('assign-roles'),
+  roomList: document.getElementById('room-list'),
+  assignRooms: document.getElementById('assign-rooms'),
+  taList: document.getElementById('ta-list'),
+  assignTAs: document.getElementById('assign-tas'),
 };
 
 let state = {
   programs: [],
   groupSize: 0,
+  sizeMode: 'size', // 'size': fixed group size, 'groups': fixed number of groups
+  numGroups: 0,
+  minSize: 0, // optional bounds on the group size in 'groups' mode (0 = none)
+  maxSize: 0,
   groups: [],
   theme: 'numeric',
   lastCsvText: '',
-  absentStudents: [], // { name, program }
+  absentStudents: [], // { name, program, attrs }
+  columns: [], // extra CSV columns available for balancing
+  balanceBy: [], // selected columns, highest priority first
+  numericColumns: [], // extra columns holding only numbers
+  scoreColumn: '', // numeric column whose group means are evened out
+  studentConstraints: [], // { type: 'together' | 'apart', members: [studentKey] }
+  roles: [], // in-group roles handed out with each grouping, first roles first
+  rooms: [], // { name, capacity }: rooms the groups are placed in
+  tas: [], // { name, programs }: teaching assistants the groups are shared among
 };
 
 let lastProgramColors = {};
 
 // Initialize state.groupSize from the current input default
 state.groupSize = parseInt(els.groupSize.value || '4', 10) || 0;
+state.numGroups = parseInt(els.numGroups.value || '4', 10) || 0;
 
 function enableControls(enabled) {
   els.exportCsv.disabled = !enabled;
   els.exportMd.disabled = !enabled;
+  els.exportJson.disabled = !enabled;
+  if (els.exportTAs) els.exportTAs.disabled = !enabled;
+  els.shareLink.disabled = !enabled;
+  els.printCards.disabled = !enabled;
   els.studentView.disabled = !enabled;
   // Keep steppers usable pre-generation so users can set size first
 }
@@ -386,21 +171,44 @@ function renderGroups(groups) {
     const section = document.createElement('section');
     section.className = 'group';
     section.dataset.groupIndex = String(g.index);
+    if (g.room) section.dataset.room = g.room;
+    if (g.ta) section.dataset.ta = g.ta;
+    if (g.capacity) section.dataset.capacity = String(g.capacity);
+    if (g.pinned) {
+      section.dataset.pinned = 'true';
+      section.classList.add('is-pinned');
+    }
+    const name = names[g.index - 1] || `Group ${g.index}`;
     
     // Add warning for missing programs
     const warningHtml = g.missingPrograms ? `
       <div class="group-warning">
         <span class="warning-icon">⚠️</span>
-        Missing: ${g.missingPrograms.join(', ')}
+        Missing: ${escapeHtml(g.missingPrograms.join(', '))}
+      </div>
+    ` : '';
+    // Note attribute values the group holds too many or too few of
+    const balanceHtml = g.attributeWarnings ? `
+      <div class="group-balance">
+        ${g.attributeWarnings.map(w => `<span class="balance-${w.kind}" title="${w.count} in group, about ${w.expected.toFixed(1)} expected">${w.kind === 'over' ? '▲' : '▼'} ${escapeHtml(w.attribute)}: ${escapeHtml(w.value)}</span>`).join('')}
       </div>
     ` : '';
     
     section.innerHTML = `
       <header>
-        <h2>${names[g.index - 1] || `Group ${g.index}`}</h2>
-        <small><span class="count">${g.students.length}</span> / ${state.groupSize}</small>
+        <span class="group-title">
+          <h2>${escapeHtml(name)}</h2>
+          ${g.room ? `<small class="room">${escapeHtml(g.room)}</small>` : (state.rooms.length > 0 ? '<small class="room no-room">No room</small>' : '')}
+          ${g.ta ? `<small class="ta" tabindex="0" title="TA: drag to another group, or press ←/→, to swap" aria-label="TA ${escapeHtml(g.ta)} for ${escapeHtml(name)}. Left and right arrows swap with the neighbouring group.">👤 ${escapeHtml(g.ta)}</small>` : ''}
+        </span>
+        <span class="badges">
+          <small class="score-stats" title="Mean score ± standard deviation">${scoreStatsText(g.students)}</small>
+          <small class="capacity"><span class="count">${g.students.length}</span> / <input class="capacity-input" type="number" min="1" value="${groupCapacity(g, state.groupSize)}" aria-label="Capacity of ${escapeHtml(name)}" title="Students this group can take" /></small>
+          <button class="pin-btn" type="button" title="Pin group: reshuffles and size changes leave it as it is" aria-label="Pin ${escapeHtml(name)}" aria-pressed="${g.pinned ? 'true' : 'false'}">📌</button>
+        </span>
       </header>
       ${warningHtml}
+      ${balanceHtml}
       <ul class="student-list" data-list="${g.index}"></ul>
     `;
     const list = section.querySelector('.student-list');
@@ -408,33 +216,45 @@ function renderGroups(groups) {
     els.groups.appendChild(section);
   }
   renderAbsentList(programColors);
-  bindDnD();
-  bindLockButtons();
-  bindAbsentButtons();
+  renderProgramOptions();
+  renderRoomOccupancy();
+  updateCapacityWarnings();
+  bindGroupControls();
+  bindStudentControls();
 }
 
 function createStudentLi(s, programColors) {
   const li = document.createElement('li');
   li.className = 'student';
+  li.dataset.id = studentKey(s);
   li.dataset.name = s.name;
   li.dataset.program = s.program;
+  li.dataset.attrs = JSON.stringify(s.attrs || {});
   li.dataset.locked = s.locked ? 'true' : 'false';
+  if (s.role) li.dataset.role = s.role;
   if (s.locked) li.classList.add('is-locked');
   const lockIcon = s.locked ? '🔒' : '🔓';
   const programColor = programColors[s.program] || '#666';
-  li.innerHTML = `<span class="name">${s.name}</span><span class="actions"><span class="tag" style="background-color: ${programColor}">${s.program}</span><button class="lock-btn" title="Toggle lock" aria-label="Toggle lock" draggable="false">${lockIcon}</button><button class="absent-btn" title="Mark absent" aria-label="Mark absent" draggable="false">Absent</button></span>`;
-  li.setAttribute('draggable', 'true');
+  const name = escapeHtml(s.name);
+  const roleHtml = s.role ? `<span class="role">${escapeHtml(s.role)}</span>` : '';
+  li.innerHTML = `<span class="name">${name}${roleHtml}</span><span class="actions"><span class="tag" style="background-color: ${programColor}">${escapeHtml(s.program)}</span><button class="lock-btn" title="Toggle lock" aria-label="Lock ${name}" aria-pressed="${s.locked ? 'true' : 'false'}">${lockIcon}</button><button class="absent-btn" title="Mark absent" aria-label="Mark ${name} absent">Absent</button></span>`;
+  li.tabIndex = 0;
+  li.setAttribute('aria-describedby', 'keyboard-help');
   return li;
 }
 
 function createAbsentLi(s, programColors) {
   const li = document.createElement('li');
   li.className = 'student';
+  li.dataset.id = studentKey(s);
   li.dataset.name = s.name;
   li.dataset.program = s.program;
+  li.dataset.attrs = JSON.stringify(s.attrs || {});
   const programColor = (programColors && programColors[s.program]) || '#666';
-  li.innerHTML = `<span class="name">${s.name}</span><span class="actions"><span class="tag" style="background-color: ${programColor}">${s.program}</span><button class="present-btn" title="Mark present" aria-label="Mark present" draggable="false">Present</button></span>`;
-  li.setAttribute('draggable', 'true');
+  const name = escapeHtml(s.name);
+  li.innerHTML = `<span class="name">${name}</span><span class="actions"><span class="tag" style="background-color: ${programColor}">${escapeHtml(s.program)}</span><button class="present-btn" title="Mark present" aria-label="Mark ${name} present">Present</button></span>`;
+  li.tabIndex = 0;
+  li.setAttribute('aria-describedby', 'keyboard-help');
   return li;
 }
 
@@ -446,128 +266,291 @@ function renderAbsentList(programColors) {
   }
 }
 
+// Read a student record back from its list item
+function studentFromLi(li) {
+  let attrs = {};
+  try { attrs = JSON.parse(li.dataset.attrs || '{}'); } catch (_) {}
+  return {
+    id: li.dataset.id,
+    name: li.dataset.name,
+    program: li.dataset.program,
+    attrs,
+    locked: li.dataset.locked === 'true',
+    ...(li.dataset.role ? { role: li.dataset.role } : {})
+  };
+}
+
 function currentPayload() {
   const groups = Array.from(document.querySelectorAll('.group')).map((g, i) => {
-    const students = Array.from(g.querySelectorAll('.student')).map(li => ({
-      name: li.dataset.name,
-      program: li.dataset.program,
-      locked: li.dataset.locked === 'true'
-    }));
-    return { index: i + 1, students };
+    const students = Array.from(g.querySelectorAll('.student')).map(studentFromLi);
+    return {
+      index: i + 1,
+      students,
+      ...(g.dataset.room ? { room: g.dataset.room } : {}),
+      ...(g.dataset.ta ? { ta: g.dataset.ta } : {}),
+      ...(g.dataset.capacity ? { capacity: parseInt(g.dataset.capacity, 10) } : {}),
+      ...(g.dataset.pinned === 'true' ? { pinned: true } : {})
+    };
   });
   return { groups, absent: state.absentStudents.slice() };
 }
 
-function bindDnD() {
-  let dragged = null;
+// Groups with their warnings from payload groups; room, TA, capacity override and pin stay with their group
+function groupsFromPayload(payloadGroups) {
+  return withGroupWarnings(payloadGroups.map(g => g.students), state.programs, groupingOptions())
+    .map((g, i) => {
+      const { room, ta, capacity, pinned } = payloadGroups[i];
+      return { ...g, ...(room ? { room } : {}), ...(ta ? { ta } : {}), ...(capacity ? { capacity } : {}), ...(pinned ? { pinned } : {}) };
+    });
+}
 
-  document.querySelectorAll('.student').forEach(item => {
+// Screen-reader announcements through the polite live region
+function announce(message) {
+  const region = document.getElementById('live-region');
+  if (!region) return;
+  // Clear first so repeating the same message is announced again
+  region.textContent = '';
+  setTimeout(() => { region.textContent = message; }, 30);
+}
+
+// Group name as shown in the header of the group holding a list
+function groupLabel(list) {
+  const heading = list.closest('.group') && list.closest('.group').querySelector('h2');
+  return heading ? heading.textContent : 'group';
+}
+
+function bindStudentControls() {
+  bindLockButtons();
+  bindAbsentButtons();
+  bindDnD();
+  bindStudentKeys();
+}
+
+// Shared edits behind drag-and-drop, the buttons and the keyboard commands. Callers record undo.
+function moveStudentToList(li, list) {
+  list.appendChild(li);
+  updateCounts();
+  announce(`${li.dataset.name} moved to ${groupLabel(list)}.`);
+  return li;
+}
+
+function markStudentAbsent(li) {
+  const { id, name, program, attrs } = studentFromLi(li);
+  // Remove from DOM group list
+  li.remove();
+  // Add to absent state and re-render absent list
+  if (!state.absentStudents.some(s => studentKey(s) === id)) {
+    state.absentStudents.push({ id, name, program, attrs });
+  }
+  renderAbsentList(lastProgramColors);
+  bindStudentControls();
+  updateCounts();
+  announce(`${name} marked absent.`);
+}
+
+function markStudentPresent(li, list) {
+  const student = studentFromLi(li);
+  const { id, name } = student;
+  // Remove from absent state and DOM node
+  state.absentStudents = state.absentStudents.filter(s => studentKey(s) !== id);
+  try { li.remove(); } catch (_) {}
+  // Ensure no duplicates in groups
+  removeStudentFromGroups(id);
+  // Create proper group LI
+  const presentLi = createStudentLi({ ...student, locked: false }, lastProgramColors);
+  list.appendChild(presentLi);
+  bindStudentControls();
+  updateCounts();
+  announce(`${name} marked present and added to ${groupLabel(list)}.`);
+  return presentLi;
+}
+
+function toggleStudentLock(li) {
+  const locked = li.dataset.locked !== 'true';
+  li.dataset.locked = locked.toString();
+  li.classList.toggle('is-locked', locked);
+  const btn = li.querySelector('.lock-btn');
+  if (btn) {
+    btn.textContent = locked ? '🔒' : '🔓';
+    btn.setAttribute('aria-pressed', locked ? 'true' : 'false');
+  }
+  announce(`${li.dataset.name} ${locked ? 'locked' : 'unlocked'}.`);
+}
+
+// Group list a late arrival goes into (see placementGroupIndex); reports why when every group is closed
+function placementListFor(student) {
+  const lists = Array.from(document.querySelectorAll('.student-list'));
+  if (lists.length === 0) return null;
+  const index = placementGroupIndex(currentPayload().groups, student, state.groupSize);
+  if (index === -1) {
+    showGroupBanner(`No room for ${student.name}: every group is full, pinned or locked. Increase the group size or a group's capacity, unpin or unlock a group, or drag them in by hand.`);
+    return null;
+  }
+  return lists[index];
+}
+
+// Pointer-event dragging so mouse, touch and pen all work. The dragged
+// item stays in place while a floating copy follows the pointer; the move
+// is applied on release with the same rules as the buttons. A finger has to
+// rest on the item for a moment first, so a swipe over the groups scrolls.
+const DRAG_START_DISTANCE = 6;
+const TOUCH_HOLD_MS = 300;
+const AUTO_SCROLL_EDGE = 48;
+const AUTO_SCROLL_MAX_STEP = 18;
+let pointerDrag = null;
+
+function bindDnD() {
+  document.querySelectorAll('.student, .group .ta').forEach(item => {
     if (item.dataset.dndBound === 'true') return;
     item.dataset.dndBound = 'true';
-    item.setAttribute('draggable', 'true');
-    item.addEventListener('dragstart', (e) => {
-      if (item.dataset.locked === 'true') { e.preventDefault(); return; }
-      dragged = item;
-      item.classList.add('dragging');
-      if (e.dataTransfer) {
-        e.dataTransfer.effectAllowed = 'move';
-        // Some browsers require data to be set
-        e.dataTransfer.setData('text/plain', 'student');
-      }
-    });
-    item.addEventListener('dragend', () => {
-      if (dragged === item) {
-        item.classList.remove('dragging');
-        dragged = null;
+    item.addEventListener('pointerdown', (e) => {
+      if (pointerDrag || (e.pointerType === 'mouse' && e.button !== 0)) return;
+      if (e.target.closest('button')) return;
+      if (item.dataset.locked === 'true' || item.closest('.group.is-pinned')) return;
+      pointerDrag = { item, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, x: e.clientX, y: e.clientY, ghost: null, target: null, frame: 0, holdTimer: 0 };
+      if (e.pointerType === 'touch') {
+        pointerDrag.holdTimer = setTimeout(() => {
+          startPointerDrag();
+          updatePointerDrag();
+        }, TOUCH_HOLD_MS);
       }
     });
   });
 
-  document.querySelectorAll('.student-list').forEach(list => {
-    if (list.dataset.dropBound === 'true') return;
-    list.dataset.dropBound = 'true';
-    list.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
-      list.classList.add('drag-over');
-    });
-    list.addEventListener('dragleave', () => {
-      list.classList.remove('drag-over');
-    });
-    list.addEventListener('drop', (e) => {
-      e.preventDefault();
-      list.classList.remove('drag-over');
-      if (!dragged) return;
-      if (dragged.dataset.locked === 'true') return;
-      const fromAbsent = dragged.closest('#absent-list') || dragged.querySelector('.present-btn');
-      if (fromAbsent) {
-        const name = dragged.dataset.name;
-        const program = dragged.dataset.program;
-        // Remove from absent state and DOM node
-        state.absentStudents = state.absentStudents.filter(s => !(s.name === name && s.program === program));
-        try { dragged.remove(); } catch (_) {}
-        // Ensure no duplicates in groups
-        removeStudentFromGroups(name, program);
-        // Create proper group LI
-        const presentLi = createStudentLi({ name, program, locked: false }, lastProgramColors);
-        list.appendChild(presentLi);
-        bindLockButtons();
-        bindAbsentButtons();
-        bindDnD();
-        updateCounts();
-      } else {
-        list.appendChild(dragged);
-        updateCounts();
-      }
-    });
+  if (document.body.dataset.dndBound === 'true') return;
+  document.body.dataset.dndBound = 'true';
+  document.addEventListener('pointermove', onDragPointerMove);
+  document.addEventListener('pointerup', onDragPointerUp);
+  document.addEventListener('pointercancel', () => endPointerDrag());
+  // Once a touch drag has started, the finger moves the item instead of the page
+  document.addEventListener('touchmove', (e) => {
+    if (pointerDrag && pointerDrag.ghost) e.preventDefault();
+  }, { passive: false });
+  document.addEventListener('contextmenu', (e) => {
+    if (pointerDrag && pointerDrag.ghost) e.preventDefault();
   });
+}
 
-  // Absent list DnD target
-  if (els.absentList) {
-    if (els.absentList.dataset.dropBound === 'true') return;
-    els.absentList.dataset.dropBound = 'true';
-    els.absentList.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
-      els.absentList.classList.add('drag-over');
-    });
-    els.absentList.addEventListener('dragleave', () => {
-      els.absentList.classList.remove('drag-over');
-    });
-    els.absentList.addEventListener('drop', (e) => {
-      e.preventDefault();
-      els.absentList.classList.remove('drag-over');
-      if (!dragged) return;
-      const name = dragged.dataset.name;
-      const program = dragged.dataset.program;
-      // Remove from DOM and push to absent
-      dragged.remove();
-      // Ensure unlocked when absent
-      const idx = state.absentStudents.findIndex(s => s.name === name && s.program === program);
-      if (idx === -1) {
-        state.absentStudents.push({ name, program });
-        renderAbsentList(lastProgramColors);
-        bindAbsentButtons();
-        bindDnD();
-      }
-      updateCounts();
-    });
+function onDragPointerMove(e) {
+  if (!pointerDrag || e.pointerId !== pointerDrag.pointerId) return;
+  pointerDrag.x = e.clientX;
+  pointerDrag.y = e.clientY;
+  if (!pointerDrag.ghost) {
+    const distance = Math.hypot(e.clientX - pointerDrag.startX, e.clientY - pointerDrag.startY);
+    if (distance < DRAG_START_DISTANCE) return;
+    // A touch that moves before the hold is up is a scroll
+    if (pointerDrag.holdTimer) {
+      endPointerDrag();
+      return;
+    }
+    startPointerDrag();
+  }
+  e.preventDefault();
+  updatePointerDrag();
+}
+
+function onDragPointerUp(e) {
+  if (!pointerDrag || e.pointerId !== pointerDrag.pointerId) return;
+  const { item, ghost } = pointerDrag;
+  const target = ghost ? dropTargetAt(pointerDrag.x, pointerDrag.y) : null;
+  endPointerDrag();
+  if (!target) return;
+  if (item.classList.contains('ta')) {
+    swapGroupTAs(item.closest('.group'), target);
+  } else if (target === els.absentList) {
+    if (item.closest('#absent-list')) return;
+    recordUndo();
+    markStudentAbsent(item);
+  } else if (item.closest('#absent-list')) {
+    recordUndo();
+    markStudentPresent(item, target);
+  } else if (item.parentElement !== target) {
+    recordUndo();
+    moveStudentToList(item, target);
+  }
+}
+
+function startPointerDrag() {
+  clearTimeout(pointerDrag.holdTimer);
+  pointerDrag.holdTimer = 0;
+  const { item } = pointerDrag;
+  const rect = item.getBoundingClientRect();
+  const ghost = item.cloneNode(true);
+  ghost.classList.add('drag-ghost');
+  ghost.removeAttribute('tabindex');
+  ghost.setAttribute('aria-hidden', 'true');
+  ghost.style.width = `${rect.width}px`;
+  pointerDrag.offsetX = pointerDrag.startX - rect.left;
+  pointerDrag.offsetY = pointerDrag.startY - rect.top;
+  pointerDrag.ghost = ghost;
+  document.body.appendChild(ghost);
+  document.body.classList.add('is-dragging');
+  item.classList.add('dragging');
+  pointerDrag.frame = requestAnimationFrame(autoScrollWhileDragging);
+}
+
+// Move the floating copy and highlight the list under the pointer
+function updatePointerDrag() {
+  const { ghost, x, y } = pointerDrag;
+  ghost.style.left = `${x - pointerDrag.offsetX}px`;
+  ghost.style.top = `${y - pointerDrag.offsetY}px`;
+  const target = dropTargetAt(x, y);
+  if (target === pointerDrag.target) return;
+  if (pointerDrag.target) pointerDrag.target.classList.remove('drag-over');
+  if (target) target.classList.add('drag-over');
+  pointerDrag.target = target;
+}
+
+// Group lists accept any student unless the group is pinned; the absent list only students coming from a group.
+// A TA is dropped on another unpinned group as a whole.
+function dropTargetAt(x, y) {
+  const el = document.elementFromPoint(x, y);
+  if (!el) return null;
+  const group = el.closest('.group');
+  if (pointerDrag.item.classList.contains('ta')) {
+    return group && group !== pointerDrag.item.closest('.group') && !group.classList.contains('is-pinned') ? group : null;
   }
+  if (group) return group.classList.contains('is-pinned') ? null : group.querySelector('.student-list');
+  const absent = el.closest('#absent-list');
+  if (absent && !pointerDrag.item.closest('#absent-list')) return absent;
+  return null;
+}
+
+// Scroll the page while the pointer rests near the top or bottom edge
+function autoScrollWhileDragging() {
+  if (!pointerDrag || !pointerDrag.ghost) return;
+  const { y } = pointerDrag;
+  let step = 0;
+  if (y < AUTO_SCROLL_EDGE) step = -AUTO_SCROLL_MAX_STEP * (1 - y / AUTO_SCROLL_EDGE);
+  else if (y > window.innerHeight - AUTO_SCROLL_EDGE) step = AUTO_SCROLL_MAX_STEP * (1 - (window.innerHeight - y) / AUTO_SCROLL_EDGE);
+  if (step !== 0) {
+    window.scrollBy(0, Math.round(step));
+    updatePointerDrag();
+  }
+  pointerDrag.frame = requestAnimationFrame(autoScrollWhileDragging);
+}
+
+function endPointerDrag() {
+  if (!pointerDrag) return;
+  const { item, ghost, target, frame, holdTimer } = pointerDrag;
+  clearTimeout(holdTimer);
+  if (frame) cancelAnimationFrame(frame);
+  if (ghost) ghost.remove();
+  if (target) target.classList.remove('drag-over');
+  item.classList.remove('dragging');
+  document.body.classList.remove('is-dragging');
+  pointerDrag = null;
 }
 
 function bindLockButtons() {
   document.querySelectorAll('.lock-btn').forEach(btn => {
+    if (btn.dataset.clickBound === 'true') return;
+    btn.dataset.clickBound = 'true';
     btn.addEventListener('click', (e) => {
       e.preventDefault(); e.stopPropagation();
-      const li = e.currentTarget.closest('.student');
-      const locked = li.dataset.locked === 'true';
-      li.dataset.locked = (!locked).toString();
-      li.classList.toggle('is-locked', !locked);
-      e.currentTarget.textContent = (!locked) ? '🔒' : '🔓';
+      recordUndo();
+      toggleStudentLock(e.currentTarget.closest('.student'));
     });
-    // Prevent drag from starting on lock button
-    btn.addEventListener('mousedown', (e) => { e.stopPropagation(); });
-    btn.addEventListener('dragstart', (e) => { e.preventDefault(); });
   });
 }
 
@@ -579,22 +562,13 @@ function bindAbsentButtons() {
     btn.addEventListener('click', (e) => {
       e.preventDefault(); e.stopPropagation();
       const li = e.currentTarget.closest('.student');
-      const name = li.dataset.name;
-      const program = li.dataset.program;
-      // Remove from DOM group list
-      li.remove();
-      // Add to absent state and re-render absent list
-      if (!state.absentStudents.some(s => s.name === name && s.program === program)) {
-        state.absentStudents.push({ name, program });
-      }
-      renderAbsentList(lastProgramColors);
-      bindAbsentButtons();
-      bindDnD();
-      updateCounts();
+      if (inPinnedGroup(li)) return;
+      recordUndo();
+      markStudentAbsent(li);
     });
   });
 
-  // Mark present from absent list
+  // Mark present from absent list: into the group they add the most to
   if (els.absentList) {
     els.absentList.querySelectorAll('.present-btn').forEach(btn => {
       if (btn.dataset.clickBound === 'true') return;
@@ -602,40 +576,154 @@ function bindAbsentButtons() {
       btn.addEventListener('click', (e) => {
         e.preventDefault(); e.stopPropagation();
         const li = e.currentTarget.closest('.student');
-        const name = li.dataset.name;
-        const program = li.dataset.program;
-        // Remove from absent state
-        state.absentStudents = state.absentStudents.filter(s => !(s.name === name && s.program === program));
-        // Remove LI
-        li.remove();
-        // Add back to the smallest group
-        const groupLists = Array.from(document.querySelectorAll('.student-list'));
-        if (groupLists.length > 0) {
-          const smallest = groupLists.reduce((min, el) => el.children.length < min.children.length ? el : min, groupLists[0]);
-          // Ensure no duplicates in groups
-          removeStudentFromGroups(name, program);
-          const presentLi = createStudentLi({ name, program, locked: false }, lastProgramColors);
-          smallest.appendChild(presentLi);
-          bindLockButtons();
-          bindAbsentButtons();
-          bindDnD();
-          updateCounts();
-        }
+        const target = placementListFor(studentFromLi(li));
+        if (!target) return;
+        recordUndo();
+        markStudentPresent(li, target);
       });
     });
   }
 }
 
+// Keyboard commands on a focused student (see #keyboard-help):
+// ↑/↓ focus the previous/next student, ←/→ move to the previous/next group,
+// A or Delete marks absent, L or Space toggles the lock, P or Enter brings an absent student back.
+function bindStudentKeys() {
+  document.querySelectorAll('.student').forEach(item => {
+    if (item.dataset.keyBound === 'true') return;
+    item.dataset.keyBound = 'true';
+    item.addEventListener('keydown', (e) => {
+      if (e.target !== item || e.ctrlKey || e.metaKey || e.altKey) return;
+      const inAbsent = !!item.closest('#absent-list');
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      if (key === 'ArrowUp' || key === 'ArrowDown') {
+        e.preventDefault();
+        const sibling = key === 'ArrowUp' ? item.previousElementSibling : item.nextElementSibling;
+        if (sibling) sibling.focus();
+      } else if (!inAbsent && (key === 'ArrowLeft' || key === 'ArrowRight')) {
+        e.preventDefault();
+        moveStudentByKeyboard(item, key === 'ArrowRight' ? 1 : -1);
+      } else if (!inAbsent && (key === 'a' || key === 'Delete')) {
+        e.preventDefault();
+        if (inPinnedGroup(item)) return;
+        const next = item.nextElementSibling || item.previousElementSibling;
+        recordUndo();
+        markStudentAbsent(item);
+        if (next) next.focus();
+      } else if (!inAbsent && (key === 'l' || key === ' ')) {
+        e.preventDefault();
+        recordUndo();
+        toggleStudentLock(item);
+      } else if (inAbsent && (key === 'p' || key === 'Enter')) {
+        e.preventDefault();
+        const target = placementListFor(studentFromLi(item));
+        if (!target) return;
+        recordUndo();
+        markStudentPresent(item, target).focus();
+      }
+    });
+  });
+}
+
+// Members of a pinned group stay put, absences included, until the group is unpinned
+function inPinnedGroup(item) {
+  if (!item.closest('.group.is-pinned')) return false;
+  announce(`${groupLabel(item.closest('.student-list'))} is pinned. Unpin it before moving students.`);
+  return true;
+}
+
+function moveStudentByKeyboard(item, step) {
+  if (item.dataset.locked === 'true') {
+    announce(`${item.dataset.name} is locked. Press L to unlock before moving.`);
+    return;
+  }
+  if (inPinnedGroup(item)) return;
+  // Pinned groups are skipped over
+  const lists = Array.from(document.querySelectorAll('.student-list'));
+  let index = lists.indexOf(item.closest('.student-list')) + step;
+  while (lists[index] && lists[index].closest('.group.is-pinned')) index += step;
+  const target = lists[index];
+  if (!target) {
+    announce(`${item.dataset.name} is already in the ${step > 0 ? 'last' : 'first'} open group.`);
+    return;
+  }
+  recordUndo();
+  moveStudentToList(item, target);
+  item.focus();
+}
+
 function updateCounts() {
   document.querySelectorAll('.group').forEach(g => {
     const count = g.querySelectorAll('.student').length;
     g.querySelector('.count').textContent = count;
+    const stats = g.querySelector('.score-stats');
+    if (stats) stats.textContent = scoreStatsText(Array.from(g.querySelectorAll('.student')).map(studentFromLi));
+  });
+  renderRoomOccupancy();
+  updateCapacityWarnings();
+}
+
+// Per-group controls in the header: capacity override and pin
+function bindGroupControls() {
+  document.querySelectorAll('.group').forEach(section => {
+    const input = section.querySelector('.capacity-input');
+    input.addEventListener('change', () => setGroupCapacity(section, parseInt(input.value, 10)));
+    section.querySelector('.pin-btn').addEventListener('click', () => {
+      recordUndo();
+      toggleGroupPin(section);
+    });
+    const ta = section.querySelector('.ta');
+    if (ta) ta.addEventListener('keydown', (e) => {
+      if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+      e.preventDefault();
+      moveTAByKeyboard(section, e.key === 'ArrowLeft' ? -1 : 1);
+    });
+  });
+}
+
+// A capacity equal to the group size is no override
+function setGroupCapacity(section, capacity) {
+  const input = section.querySelector('.capacity-input');
+  const current = section.dataset.capacity ? parseInt(section.dataset.capacity, 10) : state.groupSize;
+  if (!(capacity >= 1)) {
+    input.value = String(current);
+    return;
+  }
+  if (capacity === current) return;
+  recordUndo();
+  if (capacity === state.groupSize) delete section.dataset.capacity;
+  else section.dataset.capacity = String(capacity);
+  updateCounts();
+  announce(`${section.querySelector('h2').textContent} can take ${capacity} students.`);
+}
+
+function toggleGroupPin(section) {
+  const pinned = section.dataset.pinned !== 'true';
+  if (pinned) section.dataset.pinned = 'true';
+  else delete section.dataset.pinned;
+  section.classList.toggle('is-pinned', pinned);
+  section.querySelector('.pin-btn').setAttribute('aria-pressed', pinned ? 'true' : 'false');
+  announce(`${section.querySelector('h2').textContent} ${pinned ? 'pinned' : 'unpinned'}.`);
+}
+
+function updateCapacityWarnings() {
+  document.querySelectorAll('.group').forEach(g => {
+    const badge = g.querySelector('.capacity');
+    if (!badge) return;
+    const capacity = g.dataset.capacity ? parseInt(g.dataset.capacity, 10) : state.groupSize;
+    badge.classList.toggle('over-capacity', g.querySelectorAll('.student').length > capacity);
   });
 }
 
-function removeStudentFromGroups(name, program) {
+function scoreStatsText(students) {
+  if (!state.scoreColumn) return '';
+  const stats = scoreStats(students, state.scoreColumn);
+  return stats ? `⌀ ${stats.mean.toFixed(1)} ± ${stats.sd.toFixed(1)}` : '';
+}
+
+function removeStudentFromGroups(id) {
   document.querySelectorAll('.group .student').forEach(li => {
-    if (li.dataset && li.dataset.name === name && li.dataset.program === program) {
+    if (li.dataset && li.dataset.id === id) {
       li.remove();
     }
   });
@@ -652,9 +740,12 @@ function showGroupBanner(message, kind = 'error') {
     flash.className = 'flash';
     shell.appendChild(flash);
   }
+  flash.setAttribute('role', kind === 'error' ? 'alert' : 'status');
   const sameMessage = flash.textContent === message;
-  flash.innerHTML = `<li class="${kind}">${message}</li>`;
-  const li = flash.querySelector('li');
+  const li = document.createElement('li');
+  li.className = kind;
+  li.textContent = message;
+  flash.replaceChildren(li);
   if (sameMessage) {
     li.classList.remove('flash-bump');
     void li.offsetWidth; // reflow to restart animation
@@ -674,65 +765,82 @@ function clearGroupBanner() {
   if (flash) flash.remove();
 }
 
-function lockedStayInPlace(prevGroups, nextGroups) {
-  // Build original locked cohorts per group (as sets of keys) and a reverse map key->cohortId
-  const key = (s) => `${s.name}:::${s.program}`;
-  const cohorts = [];
-  const keyToCohort = new Map();
-  prevGroups.forEach((g, idx) => {
-    const set = new Set(g.students.filter(s => s.locked).map(key));
-    if (set.size > 0) {
-      const cohortId = cohorts.length;
-      cohorts.push(set);
-      for (const k of set) keyToCohort.set(k, cohortId);
-    }
-  });
-  // If there are no locked students at all, trivially ok
-  if (cohorts.length === 0) return true;
-  // Each cohort must appear entirely within a single next group, and no next group may contain locked from multiple cohorts
-  // Track which cohorts are satisfied and ensure injective mapping
-  const satisfied = new Array(cohorts.length).fill(false);
-  for (let i = 0; i < nextGroups.length; i++) {
-    const lockedKeys = nextGroups[i].students.filter(s => s.locked).map(key);
-    const cohortIdsInGroup = new Set();
-    for (const k of lockedKeys) {
-      if (keyToCohort.has(k)) cohortIdsInGroup.add(keyToCohort.get(k));
-    }
-    if (cohortIdsInGroup.size > 1) return false; // merged two cohorts
-    if (cohortIdsInGroup.size === 1) {
-      const cid = [...cohortIdsInGroup][0];
-      // group must contain all members of this cohort
-      for (const k of cohorts[cid]) {
-        if (!lockedKeys.includes(k)) return false; // split cohort
-      }
-      if (satisfied[cid]) return false; // same cohort mapped twice
-      satisfied[cid] = true;
-    }
-  }
-  // All cohorts must be satisfied
-  return satisfied.every(Boolean);
+// Undo/redo history of group states. Every change to the groups pushes the state from before it.
+const MAX_UNDO_STEPS = 100;
+const undoStack = [];
+const redoStack = [];
+
+function snapshotState() {
+  const payload = currentPayload();
+  return {
+    groups: payload.groups,
+    absent: payload.absent,
+    programs: state.programs.slice(),
+    groupSize: state.groupSize,
+    numGroups: state.numGroups,
+    lastCsvText: state.lastCsvText,
+    csvText: els.csvText ? els.csvText.value : '',
+  };
 }
 
-function validateConstraints(groups, programs, groupSize) {
-  const errors = [];
-  for (const g of groups) {
-    if (g.students.length > groupSize) errors.push(`Group ${g.index} exceeds group size ${groupSize}.`);
-    const present = new Set(g.students.map(s => s.program));
-    const missing = programs.filter(p => !present.has(p));
-    if (missing.length) errors.push(`Group ${g.index} missing programs: ${missing.join(', ')}`);
-  }
-  return errors;
+function pushUndo(snapshot) {
+  undoStack.push(snapshot);
+  if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+  redoStack.length = 0;
+  updateUndoButtons();
+}
+
+function recordUndo() {
+  pushUndo(snapshotState());
+}
+
+function clearUndoHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  updateUndoButtons();
+}
+
+function restoreSnapshot(snapshot) {
+  // The CSV field follows the groups unless it has been edited since they were generated
+  const csvInSync = els.csvText && els.csvText.value.trim() === state.lastCsvText;
+  state.programs = snapshot.programs.slice();
+  state.groupSize = snapshot.groupSize;
+  state.numGroups = snapshot.numGroups;
+  state.lastCsvText = snapshot.lastCsvText;
+  if (csvInSync) els.csvText.value = snapshot.csvText;
+  state.absentStudents = snapshot.absent.slice();
+  els.groupSize.value = String(snapshot.groupSize || els.groupSize.value);
+  if (snapshot.numGroups) els.numGroups.value = String(snapshot.numGroups);
+  // Warnings are recomputed since the snapshot only holds who is where
+  state.groups = groupsFromPayload(snapshot.groups);
+  renderGroups(state.groups);
+  enableControls(state.groups.length > 0);
+  clearGroupBanner();
+}
+
+function undo() {
+  if (undoStack.length === 0) return;
+  redoStack.push(snapshotState());
+  restoreSnapshot(undoStack.pop());
+  updateUndoButtons();
+  announce('Undone.');
+}
+
+function redo() {
+  if (redoStack.length === 0) return;
+  undoStack.push(snapshotState());
+  restoreSnapshot(redoStack.pop());
+  updateUndoButtons();
+  announce('Redone.');
+}
+
+function updateUndoButtons() {
+  if (els.undo) els.undo.disabled = undoStack.length === 0;
+  if (els.redo) els.redo.disabled = redoStack.length === 0;
 }
 
 function exportCSV(groups) {
-  const lines = ['group,name,program,status'];
-  // Present students from groups
-  for (const g of groups) {
-    for (const s of g.students) lines.push(`${g.index},${s.name},${s.program},present`);
-  }
-  // Absent students
-  for (const s of state.absentStudents) lines.push(`,${s.name},${s.program},absent`);
-  const blob = new Blob([lines.join('\n')], { type: 'text/csv' });
+  const blob = new Blob([groupsToCSV(groups, state.absentStudents)], { type: 'text/csv' });
   const link = document.createElement('a');
   link.href = URL.createObjectURL(blob);
   link.download = 'groups.csv';
@@ -741,47 +849,44 @@ function exportCSV(groups) {
   link.remove();
 }
 
-function themedGroupNames(numGroups, theme) {
-  const lists = {
-    numeric: Array.from({ length: numGroups }, (_, i) => `Group ${i + 1}`),
-    greek: ['Alpha','Beta','Gamma','Delta','Epsilon','Zeta','Eta','Theta','Iota','Kappa','Lambda','Mu','Nu','Xi','Omicron','Pi','Rho','Sigma','Tau','Upsilon','Phi','Chi','Psi','Omega'],
-    colors: ['Red','Blue','Green','Yellow','Purple','Orange','Teal','Cyan','Magenta','Lime','Indigo','Violet','Amber','Rose','Emerald','Sapphire','Ruby','Topaz'],
-    animals: ['Lion','Tiger','Bear','Wolf','Eagle','Falcon','Dolphin','Fox','Owl','Hawk','Panther','Cheetah','Bison','Moose','Koala','Penguin','Otter','Orca'],
-    planets: ['Mercury','Venus','Earth','Mars','Jupiter','Saturn','Uranus','Neptune','Pluto'],
-    norse: ['Odin','Thor','Freya','Loki','Baldr','Frigg','Heimdall','Tyr','Njord','Sif','Skadi','Bragi'],
-    mathematicians: ['Gauss','Noether','Euler','Riemann','Hilbert','Poincaré','Cantor','Ramanujan','Hypatia','Archimedes','Cauchy','Fourier','Fermat','Galois','Lagrange'],
-    physicists: ['Newton','Einstein','Curie','Feynman','Hawking','Maxwell','Faraday','Bohr','Heisenberg','Schrödinger','Dirac','Planck','Galileo','Kepler'],
-    chemists: ['Lavoisier','Mendeleev','Dalton','Avogadro','Pauling','Kekulé','Haber','Curie','Bunsen','Priestley','Boyle','Berzelius'],
-    biologists: ['Darwin','Mendel','Pasteur','Linnaeus','Haeckel','Goodall','Franklin','Watson','Crick','Huxley','Monod','Margulis'],
-    philosophers: ['Plato','Aristotle','Kant','Hume','Nietzsche','Descartes','Spinoza','Kierkegaard','Wittgenstein','Confucius','Socrates','Heidegger'],
-    computerscience: ['Turing','Shannon','von Neumann','Knuth','Dijkstra','Hopper','Berners-Lee','Lamport','Ritchie','Torvalds','Kay','Backus'],
-    constellations: ['Orion','Lyra','Cygnus','Andromeda','Cassiopeia','Draco','Aquila','Pegasus','Phoenix','Ursa Major','Ursa Minor','Perseus'],
+// Whole-session snapshot: everything needed to restore the groups exactly on another computer
+function sessionData() {
+  const payload = currentPayload();
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    className: els.className ? els.className.value.trim() : '',
+    csv: state.lastCsvText || (els.csvText ? els.csvText.value.trim() : ''),
+    programs: state.programs.slice(),
+    groupSize: state.groupSize,
+    sizing: { mode: state.sizeMode, numGroups: state.numGroups, minSize: state.minSize, maxSize: state.maxSize },
+    theme: els.theme ? els.theme.value : state.theme,
+    seed: els.seed.value ? parseInt(els.seed.value, 10) : null,
+    balanceBy: state.balanceBy.slice(),
+    scoreColumn: state.scoreColumn,
+    constraints: state.studentConstraints.slice(),
+    roles: state.roles.slice(),
+    rooms: state.rooms.slice(),
+    tas: state.tas.slice(),
+    groups: payload.groups,
+    absent: payload.absent
   };
-  const list = lists[theme] || lists.numeric;
-  const names = [];
-  for (let i = 0; i < numGroups; i++) {
-    names.push(list[i] ? list[i] : `Group ${i + 1}`);
-  }
-  return names;
+}
+
+function exportSession() {
+  const session = sessionData();
+  const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${(session.className || 'session').replace(/[^\w.-]+/g, '_')}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
 }
 
 function exportMarkdown(groups, theme) {
-  const names = themedGroupNames(groups.length, theme);
-  const lines = ['# Groups'];
-  for (let i = 0; i < groups.length; i++) {
-    const g = groups[i];
-    lines.push(`\n## ${names[i]}`);
-    for (const s of g.students) {
-      lines.push(`- ${s.name} (${s.program})`);
-    }
-  }
-  if (state.absentStudents.length > 0) {
-    lines.push(`\n## Absent`);
-    for (const s of state.absentStudents) {
-      lines.push(`- ${s.name} (${s.program})`);
-    }
-  }
-  const content = lines.join('\n');
+  const content = groupsToMarkdown(groups, state.absentStudents, theme);
   const url = 'data:text/plain;charset=utf-8,' + encodeURIComponent(content);
   const opened = window.open(url, '_blank', 'noopener,noreferrer');
   if (!opened) {
@@ -862,6 +967,11 @@ function openStudentView(groups, theme) {
             font-size: 1.5rem;
             font-weight: 600;
         }
+        .group-room {
+            margin-top: 4px;
+            color: #64748b;
+            font-size: 1rem;
+        }
         .student-list {
             list-style: none;
             padding: 0;
@@ -881,6 +991,12 @@ function openStudentView(groups, theme) {
             font-weight: 500;
             color: #1e293b;
         }
+        .student-role {
+            margin-left: 6px;
+            font-size: 0.8rem;
+            font-weight: 400;
+            color: #64748b;
+        }
         .program-tag {
             padding: 4px 8px;
             border-radius: 6px;
@@ -917,14 +1033,16 @@ function openStudentView(groups, theme) {
                 const warningHtml = g.missingPrograms ? `
                     <div class="group-warning">
                         <span class="warning-icon">⚠️</span>
-                        Missing: ${g.missingPrograms.join(', ')}
+                        Missing: ${escapeHtml(g.missingPrograms.join(', '))}
                     </div>
                 ` : '';
                 
                 return `
                     <div class="group">
                         <div class="group-header">
-                            <h2>${names[i]}</h2>
+                            <h2>${escapeHtml(names[i])}</h2>
+                            ${g.room ? `<div class="group-room">${escapeHtml(g.room)}</div>` : ''}
+                            ${g.ta ? `<div class="group-room">TA: ${escapeHtml(g.ta)}</div>` : ''}
                         </div>
                         ${warningHtml}
                         <ul class="student-list">
@@ -932,8 +1050,8 @@ function openStudentView(groups, theme) {
                                 const programColor = programColors[s.program] || '#666';
                                 return `
                                     <li class="student">
-                                        <span class="student-name">${s.name}</span>
-                                        <span class="program-tag" style="background-color: ${programColor}">${s.program}</span>
+                                        <span class="student-name">${escapeHtml(s.name)}${s.role ? ` <span class="student-role">${escapeHtml(s.role)}</span>` : ''}</span>
+                                        <span class="program-tag" style="background-color: ${programColor}">${escapeHtml(s.program)}</span>
                                     </li>
                                 `;
                             }).join('')}
@@ -946,14 +1064,167 @@ function openStudentView(groups, theme) {
 </body>
 </html>`;
   
-  // Open in new tab
-  const blob = new Blob([html], { type: 'text/html' });
-  const url = URL.createObjectURL(blob);
-  const opened = window.open(url, '_blank', 'noopener,noreferrer');
-  if (!opened) {
-    // Popup blocked: fall back to creating a new tab via anchor
-    const a = document.createElement('a');
-    a.href = url;
+  openHtmlInNewTab(html);
+}
+
+// Paper sizes for the print layout, in millimetres (portrait)
+const PAPER_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  letter: { label: 'Letter', width: 215.9, height: 279.4 },
+};
+const PRINT_MARGIN_MM = 10;
+
+// Printable table tents (one page per group, folded across the middle so both sides read
+// upright) followed by cut-out slips telling each student their group and table
+function printLayoutHtml(groups, theme, options) {
+  const names = themedGroupNames(groups.length, theme);
+  const paper = PAPER_SIZES[options.paper] || PAPER_SIZES.a4;
+  const uniquePrograms = [...new Set([
+    ...groups.flatMap(g => g.students.map(s => s.program)),
+    ...state.absentStudents.map(s => s.program)
+  ])];
+  const programColors = getProgramColors(uniquePrograms);
+  const tag = s => `<span class="program-tag" style="background-color: ${programColors[s.program] || '#666'}">${escapeHtml(s.program)}</span>`;
+  const tentHalf = (g, i) => `
+        <div class="tent-half">
+            <div class="table-number">Table ${i + 1}${g.room ? ` · ${escapeHtml(g.room)}` : ''}${g.ta ? ` · TA ${escapeHtml(g.ta)}` : ''}</div>
+            <h2>${escapeHtml(names[i])}</h2>
+            <ul>${g.students.map(s => `<li><span>${escapeHtml(s.name)}</span>${tag(s)}</li>`).join('')}</ul>
+        </div>`;
+  const cards = options.cards ? groups.map((g, i) => `
+    <section class="page tent">
+        <div class="flipped">${tentHalf(g, i)}</div>
+        ${tentHalf(g, i)}
+    </section>`).join('') : '';
+  const slips = options.slips ? groups
+    .flatMap((g, i) => g.students.map(s => ({ ...s, group: names[i], table: i + 1, room: g.room })))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(s => `
+        <div class="slip" style="border-left-color: ${programColors[s.program] || '#666'}">
+            <div class="slip-name">${escapeHtml(s.name)}</div>
+            <div>Group <strong>${escapeHtml(s.group)}</strong> · Table <strong>${s.table}</strong>${s.room ? ` · Room <strong>${escapeHtml(s.room)}</strong>` : ''}</div>
+            ${tag(s)}
+        </div>`).join('') : '';
+  const tentHeight = paper.height - 2 * PRINT_MARGIN_MM;
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Printable Groups</title>
+    <style>
+        @page { size: ${paper.width}mm ${paper.height}mm; margin: ${PRINT_MARGIN_MM}mm; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            margin: 0;
+            color: #1e293b;
+        }
+        .toolbar { padding: 12px; text-align: center; }
+        .page { width: ${paper.width - 2 * PRINT_MARGIN_MM}mm; margin: 0 auto; break-after: page; page-break-after: always; }
+        .tent { height: ${tentHeight}mm; display: flex; flex-direction: column; }
+        .tent-half {
+            height: ${tentHeight / 2}mm;
+            box-sizing: border-box;
+            padding: 12mm;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            text-align: center;
+        }
+        .flipped { transform: rotate(180deg); border-bottom: 1px dashed #94a3b8; }
+        .tent h2 { font-size: 40pt; margin: 4mm 0 6mm; }
+        .table-number { font-size: 16pt; color: #64748b; text-transform: uppercase; letter-spacing: 0.1em; }
+        .tent ul { list-style: none; padding: 0; margin: 0; font-size: 16pt; }
+        .tent li { display: flex; align-items: center; justify-content: center; gap: 8px; margin: 2mm 0; }
+        .program-tag {
+            padding: 2px 8px;
+            border-radius: 6px;
+            font-size: 0.7em;
+            color: white;
+            -webkit-print-color-adjust: exact;
+            print-color-adjust: exact;
+        }
+        .slips { display: grid; grid-template-columns: 1fr 1fr; gap: 0; }
+        .slip {
+            break-inside: avoid;
+            page-break-inside: avoid;
+            border: 1px dashed #94a3b8;
+            border-left: 6px solid;
+            padding: 5mm;
+            min-height: 28mm;
+            box-sizing: border-box;
+            display: flex;
+            flex-direction: column;
+            gap: 2mm;
+            align-items: flex-start;
+            -webkit-print-color-adjust: exact;
+            print-color-adjust: exact;
+        }
+        .slip-name { font-size: 16pt; font-weight: 600; }
+        @media screen {
+            body { background: #f8fafc; }
+            .page { background: white; box-shadow: 0 1px 3px rgba(0,0,0,0.1); margin-bottom: 20px; }
+        }
+        @media print {
+            .toolbar { display: none; }
+        }
+    </style>
+</head>
+<body>
+    <div class="toolbar"><button onclick="window.print()">Print (${paper.label})</button></div>
+    ${cards}
+    ${slips ? `<section class="page slips">${slips}</section>` : ''}
+</body>
+</html>`;
+}
+
+function showPrintOptions() {
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal">
+      <div class="modal-header">
+        <h3>Print groups</h3>
+        <button class="close-btn" type="button">×</button>
+      </div>
+      <div class="modal-content print-options">
+        <label>Paper <select class="print-paper">${Object.entries(PAPER_SIZES).map(([key, p]) => `<option value="${key}">${p.label}</option>`).join('')}</select></label>
+        <label><input class="print-cards" type="checkbox" checked /> Table tent per group</label>
+        <label><input class="print-slips" type="checkbox" checked /> Slip per student with group and table</label>
+        <button class="do-print" type="button">Open printable page</button>
+      </div>
+    </div>
+  `;
+  const paperSelect = modal.querySelector('.print-paper');
+  // Letter is the norm in North America; everyone else gets A4
+  paperSelect.value = /^en-(US|CA)$/.test(navigator.language) ? 'letter' : 'a4';
+  modal.querySelector('.close-btn').addEventListener('click', () => modal.remove());
+  modal.querySelector('.do-print').addEventListener('click', () => {
+    const options = {
+      paper: paperSelect.value,
+      cards: modal.querySelector('.print-cards').checked,
+      slips: modal.querySelector('.print-slips').checked
+    };
+    if (!options.cards && !options.slips) {
+      alert('Pick table tents, student slips or both');
+      return;
+    }
+    const theme = els.theme ? els.theme.value : 'numeric';
+    openHtmlInNewTab(printLayoutHtml(currentPayload().groups, theme, options));
+    modal.remove();
+  });
+  document.body.appendChild(modal);
+}
+
+function openHtmlInNewTab(html) {
+  const blob = new Blob([html], { type: 'text/html' });
+  const url = URL.createObjectURL(blob);
+  const opened = window.open(url, '_blank', 'noopener,noreferrer');
+  if (!opened) {
+    // Popup blocked: fall back to creating a new tab via anchor
+    const a = document.createElement('a');
+    a.href = url;
     a.target = '_blank';
     a.rel = 'noopener noreferrer';
     document.body.appendChild(a);
@@ -973,24 +1244,28 @@ els.setupForm.addEventListener('submit', async (e) => {
     }
     const desiredGroupSize = parseInt(els.groupSize.value, 10);
     const seed = els.seed.value ? parseInt(els.seed.value, 10) : undefined;
+    const before = snapshotState();
 
     // If CSV unchanged and we already have groups, do a lock-respecting reshuffle
     if (state.groups && state.groups.length > 0 && state.lastCsvText === text) {
       // Guard: do not allow resizing that would move locked students
       const payload = currentPayload();
-      const desired = desiredGroupSize;
-      // 1) Any group with more locked than desired size
-      const violatingByCount = payload.groups
-        .map((g, i) => ({ index: i + 1, locked: g.students.filter(s => s.locked).length }))
-        .filter(x => x.locked > desired);
-      if (violatingByCount.length > 0) {
-        const details = violatingByCount.map(v => `Group ${v.index}: ${v.locked} locked`).join(', ');
-        showGroupBanner(`Cannot apply group size ${desired} because some groups have more locked students than this size. Please unlock some students or choose a larger group size. (${details})`);
+      let layout;
+      try {
+        layout = reshuffleLayout(payload.groups, desiredGroupSize, groupingOptions());
+      } catch (err) {
+        showGroupBanner(err.message || String(err));
+        return;
+      }
+      const desired = layout.groupSize;
+      // 1) Locked students over a group's capacity, or pinned groups that would be removed
+      const conflict = layoutConflict(payload.groups, layout);
+      if (conflict) {
+        showGroupBanner(conflict);
         return;
       }
       // 2) If number of groups would shrink, ensure removed groups contain no locks
-      const totalStudents = payload.groups.reduce((acc, g) => acc + g.students.length, 0);
-      const targetNumGroups = Math.max(1, Math.ceil(totalStudents / desired));
+      const targetNumGroups = layout.numGroups;
       const currentNumGroups = payload.groups.length;
       if (targetNumGroups < currentNumGroups) {
         const eliminated = payload.groups.slice(targetNumGroups);
@@ -999,35 +1274,42 @@ els.setupForm.addEventListener('submit', async (e) => {
           .filter(x => x.locked > 0);
         if (eliminatedWithLocks.length > 0) {
           const details = eliminatedWithLocks.map(v => `Group ${v.index}: ${v.locked} locked`).join(', ');
-          showGroupBanner(`Cannot increase group size to ${desired} because it would reduce the number of groups from ${currentNumGroups} to ${targetNumGroups} and would require moving locked students. Please unlock students in the groups to be removed or choose a smaller increase. (${details})`);
+          showGroupBanner(`Cannot apply ${layoutLabel(layout)} because it would reduce the number of groups from ${currentNumGroups} to ${targetNumGroups} and would require moving locked students. Please unlock students in the groups to be removed or choose a smaller change. (${details})`);
           return;
         }
       }
-      state.groupSize = desiredGroupSize;
+      state.groupSize = desired;
       state.theme = els.theme ? els.theme.value : state.theme;
-      const reshuffled = reshuffleRespectingLocksToGroupSize(payload.groups, state.programs, state.groupSize, seed);
+      const reshuffled = reshuffleRespectingLocksToGroupSize(payload.groups, state.programs, state.groupSize, seed, groupingOptions());
       if (!lockedStayInPlace(payload.groups, reshuffled)) {
-        showGroupBanner('Cannot apply this group size because it would require moving locked students. Please unlock students or choose a different size.');
+        showGroupBanner(`Cannot apply ${layoutLabel(layout)} because it would require moving locked students. Please unlock students or choose a different size.`);
         return;
       }
-      state.groups = reshuffled;
+      pushUndo(before);
+      state.groups = withAssignments(reshuffled);
       renderGroups(state.groups);
+      announce(`Reshuffled into ${state.groups.length} groups.`);
       clearGroupBanner();
+      reportGroupingOutcome(state.groups);
       enableControls(true);
       return;
     }
 
     // Otherwise, parse and generate fresh groups
-    const studentsAll = parseCSV(text);
+    const { students: studentsAll, skipped } = parseCSV(text);
     // Filter out previously marked absent if they exist in this CSV
-    const students = studentsAll.filter(s => !state.absentStudents.some(a => a.name === s.name && a.program === s.program));
-    const result = groupStudents(students, desiredGroupSize, seed);
+    const absentIds = new Set(state.absentStudents.map(studentKey));
+    const students = studentsAll.filter(s => !absentIds.has(s.id));
+    const result = groupStudents(students, desiredGroupSize, seed, groupingOptions());
+    pushUndo(before);
     state.programs = result.programs;
     state.groupSize = result.groupSize;
-    state.groups = result.groups;
+    state.groups = withAssignments(result.groups);
     state.theme = els.theme ? els.theme.value : 'numeric';
     state.lastCsvText = text;
     renderGroups(state.groups);
+    announce(`Generated ${state.groups.length} groups.`);
+    reportGroupingOutcome(state.groups, skippedRowsNote(skipped));
     enableControls(true);
   } catch (err) {
     alert(String(err));
@@ -1036,6 +1318,24 @@ els.setupForm.addEventListener('submit', async (e) => {
 
 // validate and reshuffle buttons removed; generate handles reshuffle now
 
+els.undo.addEventListener('click', undo);
+els.redo.addEventListener('click', redo);
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), and Ctrl+Y; text fields keep their own undo
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const target = e.target;
+  if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redo();
+  }
+});
+
 els.exportCsv.addEventListener('click', () => {
   const payload = currentPayload();
   exportCSV(payload.groups);
@@ -1047,6 +1347,21 @@ els.exportMd.addEventListener('click', () => {
   exportMarkdown(payload.groups, theme);
 });
 
+els.exportJson.addEventListener('click', exportSession);
+if (els.exportTAs) {
+  els.exportTAs.addEventListener('click', () => {
+    if (state.tas.length === 0) {
+      showGroupBanner('List the TAs under "Teaching assistants" first.', 'warning');
+      return;
+    }
+    const theme = els.theme ? els.theme.value : 'numeric';
+    const className = els.className ? els.className.value.trim() : '';
+    downloadText(taSummaryMarkdown(currentPayload().groups, state.tas, theme), `${(className ? `${className} TAs` : 'ta-summary').replace(/[^\w.-]+/g, '_')}.md`, 'text/markdown');
+  });
+}
+els.shareLink.addEventListener('click', copyShareLink);
+els.printCards.addEventListener('click', showPrintOptions);
+
 els.studentView.addEventListener('click', () => {
   const payload = currentPayload();
   const theme = els.theme ? els.theme.value : 'numeric';
@@ -1054,33 +1369,66 @@ els.studentView.addEventListener('click', () => {
 });
 
 
-// Group size + / - controls
-function applyNewGroupSize(newSize) {
-  const minSize = 1;
-  if (newSize < minSize) {
-    showGroupBanner('Group size must be at least 1.');
+// Why a layout cannot be applied without moving locked students or pinned groups, or null
+function layoutConflict(groups, layout) {
+  const violatingByCount = groups
+    .map((g, i) => ({ index: i + 1, locked: g.students.filter(s => s.locked).length, capacity: groupCapacity(g, layout.groupSize), pinned: g.pinned }))
+    .filter(x => !x.pinned && x.locked > x.capacity);
+  if (violatingByCount.length > 0) {
+    const details = violatingByCount.map(v => `Group ${v.index}: ${v.locked} locked, room for ${v.capacity}`).join(', ');
+    return `Cannot apply ${layoutLabel(layout)} because some groups have more locked students than they can take. Please unlock some students or choose a larger group size or capacity. (${details})`;
+  }
+  const removedPinned = groups.map((g, i) => (g.pinned && i >= layout.numGroups ? `Group ${i + 1}` : null)).filter(Boolean);
+  if (removedPinned.length > 0) {
+    return `Cannot apply ${layoutLabel(layout)} because it would remove pinned groups. Please unpin them or choose a smaller change. (${removedPinned.join(', ')})`;
+  }
+  return null;
+}
+
+function layoutLabel(layout) {
+  return state.sizeMode === 'groups'
+    ? `${layout.numGroups} groups (up to ${layout.groupSize} each)`
+    : `group size ${layout.groupSize}`;
+}
+
+// Group size + / - controls. In 'groups' mode the value is the number of groups instead.
+function applyNewGroupSize(newValue) {
+  const byGroups = state.sizeMode === 'groups';
+  const input = byGroups ? els.numGroups : els.groupSize;
+  if (newValue < 1) {
+    showGroupBanner(byGroups ? 'There must be at least 1 group.' : 'Group size must be at least 1.');
     return;
   }
-  const prev = state.groupSize || parseInt(els.groupSize.value || '4', 10);
+  const prev = byGroups
+    ? (state.numGroups || parseInt(els.numGroups.value || '4', 10))
+    : (state.groupSize || parseInt(els.groupSize.value || '4', 10));
+  const setValue = (value) => {
+    if (byGroups) state.numGroups = value; else state.groupSize = value;
+    input.value = String(value);
+  };
   // If no groups yet, just set the value and return
   if (!state.groups || state.groups.length === 0) {
-    state.groupSize = newSize;
-    els.groupSize.value = String(newSize);
+    setValue(newValue);
     return;
   }
-  // Prevent resizing if any group has more locked students than the new size
+  const options = byGroups ? { ...groupingOptions(), numGroups: newValue } : groupingOptions();
   const payloadBefore = currentPayload();
-  const violating = payloadBefore.groups
-    .map((g, i) => ({ index: i + 1, locked: g.students.filter(s => s.locked).length }))
-    .filter(x => x.locked > newSize);
-  if (violating.length > 0) {
-    const details = violating.map(v => `Group ${v.index}: ${v.locked} locked`).join(', ');
-    showGroupBanner(`Cannot apply group size ${newSize} because some groups have more locked students than this size. Please unlock some students or choose a larger group size. (${details})`);
+  let layout;
+  try {
+    layout = reshuffleLayout(payloadBefore.groups, byGroups ? state.groupSize : newValue, options);
+  } catch (err) {
+    showGroupBanner(err.message || String(err));
+    return;
+  }
+  const newSize = layout.groupSize;
+  // Prevent resizing past locked students or pinned groups
+  const conflict = layoutConflict(payloadBefore.groups, layout);
+  if (conflict) {
+    showGroupBanner(conflict);
     return;
   }
-  // If increasing size would reduce number of groups, and any eliminated group has locks, block
-  const totalStudents = payloadBefore.groups.reduce((acc, g) => acc + g.students.length, 0);
-  const targetNumGroups = Math.max(1, Math.ceil(totalStudents / newSize));
+  // If the change would reduce the number of groups, and any eliminated group has locks, block
+  const targetNumGroups = layout.numGroups;
   const currentNumGroups = payloadBefore.groups.length;
   if (targetNumGroups < currentNumGroups) {
     // Reducing groups: allowed only if we can merge groups without splitting any locked cohort
@@ -1090,10 +1438,11 @@ function applyNewGroupSize(newSize) {
         payloadBefore.groups,
         state.programs,
         newSize,
-        els.seed.value ? parseInt(els.seed.value, 10) : undefined
+        els.seed.value ? parseInt(els.seed.value, 10) : undefined,
+        options
       );
       if (!lockedStayInPlace(payloadBefore.groups, tentative)) {
-        showGroupBanner(`Cannot increase group size to ${newSize} because it would reduce the number of groups from ${currentNumGroups} to ${targetNumGroups} and would require splitting or moving locked students. Please unlock students or choose a different size.`);
+        showGroupBanner(`Cannot apply ${layoutLabel(layout)} because it would reduce the number of groups from ${currentNumGroups} to ${targetNumGroups} and would require splitting or moving locked students. Please unlock students or choose a different size.`);
         return;
       }
     } catch (err) {
@@ -1102,37 +1451,44 @@ function applyNewGroupSize(newSize) {
     }
   }
   try {
+    const before = snapshotState();
     const payload = currentPayload();
-    const groups = reshuffleRespectingLocksToGroupSize(payload.groups, state.programs, newSize, els.seed.value ? parseInt(els.seed.value, 10) : undefined);
+    const groups = reshuffleRespectingLocksToGroupSize(payload.groups, state.programs, newSize, els.seed.value ? parseInt(els.seed.value, 10) : undefined, options);
     // Extra safety: verify no locked student moved groups
     if (!lockedStayInPlace(payload.groups, groups)) {
-      showGroupBanner('Cannot apply this group size because it would require moving locked students. Please unlock students or choose a different size.');
+      showGroupBanner(`Cannot apply ${layoutLabel(layout)} because it would require moving locked students. Please unlock students or choose a different size.`);
       return;
     }
+    pushUndo(before);
+    setValue(newValue);
     state.groupSize = newSize;
-    els.groupSize.value = String(newSize);
-    state.groups = groups;
-    renderGroups(groups);
+    state.groups = withAssignments(groups);
+    renderGroups(state.groups);
+    announce(`Reshuffled into ${groups.length} groups of up to ${newSize}.`);
     clearGroupBanner();
+    reportGroupingOutcome(groups);
   } catch (err) {
     showGroupBanner(String(err));
-    state.groupSize = prev;
-    els.groupSize.value = String(prev);
+    setValue(prev);
   }
 }
 
+// The value the stepper changes: group size, or number of groups in 'groups' mode
+function currentStepperValue() {
+  if (state.sizeMode === 'groups') return parseInt(els.numGroups.value || String(state.numGroups || 0), 10) || 0;
+  return parseInt(els.groupSize.value || String(state.groupSize || 0), 10) || 0;
+}
+
 if (els.incSize) {
   els.incSize.addEventListener('click', (e) => {
     e.preventDefault();
-    const current = parseInt(els.groupSize.value || String(state.groupSize || 0), 10) || 0;
-    applyNewGroupSize(current + 1);
+    applyNewGroupSize(currentStepperValue() + 1);
   });
 }
 if (els.decSize) {
   els.decSize.addEventListener('click', (e) => {
     e.preventDefault();
-    const current = parseInt(els.groupSize.value || String(state.groupSize || 0), 10) || 0;
-    applyNewGroupSize(current - 1);
+    applyNewGroupSize(currentStepperValue() - 1);
   });
 }
 
@@ -1141,6 +1497,38 @@ els.groupSize.addEventListener('input', () => {
   const val = parseInt(els.groupSize.value, 10);
   if (!Number.isNaN(val)) state.groupSize = val;
 });
+els.numGroups.addEventListener('input', () => {
+  const val = parseInt(els.numGroups.value, 10);
+  if (!Number.isNaN(val)) state.numGroups = val;
+});
+[els.minSize, els.maxSize].forEach(input => {
+  input.addEventListener('input', () => {
+    state.minSize = parseInt(els.minSize.value, 10) || 0;
+    state.maxSize = parseInt(els.maxSize.value, 10) || 0;
+  });
+});
+
+// Switch between a fixed group size and a fixed number of groups
+function renderSizeMode() {
+  const byGroups = state.sizeMode === 'groups';
+  els.sizeMode.value = state.sizeMode;
+  els.groupSize.hidden = byGroups;
+  els.groupSize.required = !byGroups;
+  els.numGroups.hidden = !byGroups;
+  els.numGroups.required = byGroups;
+  els.sizeLimits.hidden = !byGroups;
+  els.sizeLabel.textContent = byGroups ? 'Number of groups' : 'Group size';
+  els.sizeLabel.htmlFor = byGroups ? 'num_groups' : 'group_size';
+  els.incSize.title = byGroups ? 'More groups' : 'Increase group size';
+  els.decSize.title = byGroups ? 'Fewer groups' : 'Decrease group size';
+  els.numGroups.value = String(state.numGroups || els.numGroups.value);
+  els.minSize.value = state.minSize ? String(state.minSize) : '';
+  els.maxSize.value = state.maxSize ? String(state.maxSize) : '';
+}
+els.sizeMode.addEventListener('change', () => {
+  state.sizeMode = els.sizeMode.value === 'groups' ? 'groups' : 'size';
+  renderSizeMode();
+});
 
 // Update theme live and re-render headers when groups exist
 if (els.theme) {
@@ -1150,18 +1538,620 @@ if (els.theme) {
   });
 }
 
+// Balance-by attributes: every extra CSV column can be ticked and ordered by priority
+function groupingOptions() {
+  return {
+    balanceBy: state.balanceBy.slice(),
+    scoreColumn: state.scoreColumn || undefined,
+    pastPairs: currentPastPairs(),
+    constraints: state.studentConstraints.slice(),
+    ...(state.sizeMode === 'groups'
+      ? { numGroups: state.numGroups, minSize: state.minSize || undefined, maxSize: state.maxSize || undefined }
+      : {})
+  };
+}
+
+function refreshBalanceOptions() {
+  let columns = [];
+  let numericColumns = [];
+  try {
+    if (els.csvText && els.csvText.value.trim()) {
+      const parsed = parseCSV(els.csvText.value);
+      columns = parsed.columns;
+      // A column qualifies as a score when every filled-in value is a number
+      numericColumns = columns.filter(c => {
+        const filled = parsed.students.filter(s => s.attrs[c] !== '');
+        return filled.length > 0 && filled.every(s => Number.isFinite(studentScore(s, c)));
+      });
+    }
+  } catch (_) {}
+  state.columns = columns;
+  state.numericColumns = numericColumns;
+  state.balanceBy = state.balanceBy.filter(c => columns.includes(c));
+  if (!numericColumns.includes(state.scoreColumn)) state.scoreColumn = '';
+  renderBalanceOptions();
+  renderScoreOptions();
+}
+
+function renderScoreOptions() {
+  if (!els.scoreColumn) return;
+  els.scoreColumn.innerHTML = '<option value="">None</option>' +
+    state.numericColumns.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+  els.scoreColumn.value = state.scoreColumn;
+}
+
+if (els.scoreColumn) {
+  els.scoreColumn.addEventListener('change', () => {
+    state.scoreColumn = els.scoreColumn.value;
+    updateCounts();
+  });
+}
+
+function renderBalanceOptions() {
+  if (!els.balanceList) return;
+  els.balanceList.innerHTML = '';
+  if (state.columns.length === 0) {
+    els.balanceList.innerHTML = '<li class="hint">Add extra CSV columns (e.g. gender, campus) to balance on them.</li>';
+    return;
+  }
+  // Selected attributes first, in priority order, followed by the unused columns
+  const ordered = [...state.balanceBy, ...state.columns.filter(c => !state.balanceBy.includes(c))];
+  ordered.forEach(column => {
+    const selected = state.balanceBy.includes(column);
+    const li = document.createElement('li');
+    li.dataset.column = column;
+    li.innerHTML = `<label><input type="checkbox" ${selected ? 'checked' : ''} /> ${escapeHtml(column)}</label><span class="actions"><button type="button" class="move-up" title="Higher priority" ${selected ? '' : 'disabled'}>↑</button><button type="button" class="move-down" title="Lower priority" ${selected ? '' : 'disabled'}>↓</button></span>`;
+    li.querySelector('input').addEventListener('change', (e) => {
+      if (e.currentTarget.checked) state.balanceBy.push(column);
+      else state.balanceBy = state.balanceBy.filter(c => c !== column);
+      renderBalanceOptions();
+    });
+    li.querySelector('.move-up').addEventListener('click', () => moveBalancePriority(column, -1));
+    li.querySelector('.move-down').addEventListener('click', () => moveBalancePriority(column, 1));
+    els.balanceList.appendChild(li);
+  });
+}
+
+function moveBalancePriority(column, delta) {
+  const idx = state.balanceBy.indexOf(column);
+  const target = idx + delta;
+  if (idx === -1 || target < 0 || target >= state.balanceBy.length) return;
+  [state.balanceBy[idx], state.balanceBy[target]] = [state.balanceBy[target], state.balanceBy[idx]];
+  renderBalanceOptions();
+}
+
+if (els.csvText) {
+  els.csvText.addEventListener('input', refreshBalanceOptions);
+}
+
+// Student constraints editor
+// Constraint members are student keys, which are IDs for rosters with an ID column; names come from
+// the roster and the students on screen (e.g. ones added since)
+function studentNamesByKey() {
+  const names = new Map();
+  const add = s => names.set(studentKey(s), s.name);
+  try {
+    if (els.csvText && els.csvText.value.trim()) parseCSV(els.csvText.value).students.forEach(add);
+  } catch (_) {}
+  currentPayload().groups.forEach(g => g.students.forEach(add));
+  state.absentStudents.forEach(add);
+  return names;
+}
+
+function constraintMemberName(key, names) {
+  return names.get(key) || key.split(':::')[0];
+}
+
+function renderConstraintList() {
+  if (!els.constraintList) return;
+  els.constraintList.innerHTML = '';
+  const names = state.studentConstraints.length > 0 ? studentNamesByKey() : null;
+  state.studentConstraints.forEach((c, idx) => {
+    const li = document.createElement('li');
+    li.className = `constraint constraint-${c.type}`;
+    const joiner = c.type === 'together' ? ' + ' : ' ≠ ';
+    li.innerHTML = `<span class="constraint-icon" title="${c.type === 'together' ? 'Must be together' : 'Must be apart'}">${c.type === 'together' ? '🔗' : '⛔'}</span><span class="constraint-members">${escapeHtml(c.members.map(key => constraintMemberName(key, names)).join(joiner))}</span><button type="button" class="delete-btn" title="Remove constraint">🗑️</button>`;
+    li.querySelector('.delete-btn').addEventListener('click', () => {
+      state.studentConstraints.splice(idx, 1);
+      renderConstraintList();
+    });
+    els.constraintList.appendChild(li);
+  });
+}
+
+function showConstraintModal() {
+  let students = [];
+  try {
+    students = parseCSV(els.csvText ? els.csvText.value : '').students;
+  } catch (err) {
+    alert(String(err));
+    return;
+  }
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal">
+      <div class="modal-header">
+        <h3>Add constraint</h3>
+        <button class="close-btn" type="button">×</button>
+      </div>
+      <div class="modal-content constraint-editor">
+        <select class="constraint-type">
+          <option value="together">Must be together</option>
+          <option value="apart">Must be apart</option>
+        </select>
+        <input class="constraint-filter" type="search" placeholder="Filter students" />
+        <ul class="constraint-students">
+          ${students.map(s => `
+            <li data-name="${escapeHtml(s.name.toLowerCase())}"><label><input type="checkbox" value="${escapeHtml(studentKey(s))}" /> ${escapeHtml(s.name)} <span class="class-meta">${escapeHtml(s.program)}</span></label></li>
+          `).join('')}
+        </ul>
+        <button class="save-constraint" type="button">Add</button>
+      </div>
+    </div>
+  `;
+  const close = () => modal.remove();
+  modal.querySelector('.close-btn').addEventListener('click', close);
+  modal.querySelector('.constraint-filter').addEventListener('input', (e) => {
+    const q = e.currentTarget.value.trim().toLowerCase();
+    modal.querySelectorAll('.constraint-students li').forEach(li => {
+      li.style.display = li.dataset.name.includes(q) ? '' : 'none';
+    });
+  });
+  modal.querySelector('.save-constraint').addEventListener('click', () => {
+    const members = Array.from(modal.querySelectorAll('.constraint-students input:checked')).map(i => i.value);
+    if (members.length < 2) {
+      alert('Pick at least two students');
+      return;
+    }
+    state.studentConstraints.push({ type: modal.querySelector('.constraint-type').value, members });
+    renderConstraintList();
+    close();
+  });
+  document.body.appendChild(modal);
+}
+
+if (els.addConstraint) {
+  els.addConstraint.addEventListener('click', showConstraintModal);
+}
+
+// Add someone who is not in the CSV yet: placed like a late arrival and appended to the CSV field
+function addNewStudent() {
+  const name = els.newStudentName.value.trim();
+  const program = els.newStudentProgram.value.trim();
+  if (!name || !program) {
+    alert('Enter a name and a program');
+    return;
+  }
+  if (document.querySelectorAll('.student-list').length === 0) {
+    alert('Generate groups first');
+    return;
+  }
+  // Same ID the appended CSV row will get when the roster is read again
+  const taken = new Set([...currentPayload().groups.flatMap(g => g.students), ...state.absentStudents].map(studentKey));
+  try {
+    if (els.csvText && els.csvText.value.trim()) parseCSV(els.csvText.value).students.forEach(s => taken.add(s.id));
+  } catch (_) {}
+  const student = { id: generatedStudentId(name, program, taken), name, program, attrs: {}, locked: false };
+  const target = placementListFor(student);
+  if (!target) return;
+  recordUndo();
+  target.appendChild(createStudentLi(student, lastProgramColors));
+  bindStudentControls();
+  updateCounts();
+  if (!state.programs.includes(program)) state.programs.push(program);
+  // Keep the roster in step so the next Generate reshuffles instead of starting over
+  if (els.csvText) {
+    const wasCurrent = els.csvText.value.trim() === state.lastCsvText;
+    els.csvText.value = appendRosterRow(els.csvText.value.trim(), student);
+    if (wasCurrent) state.lastCsvText = els.csvText.value;
+  }
+  els.newStudentName.value = '';
+  els.newStudentProgram.value = '';
+  els.newStudentName.focus();
+  announce(`${name} added to ${groupLabel(target)}.`);
+  showGroupBanner(`Added ${name} to ${groupLabel(target)}.`, 'info');
+}
+
+function renderProgramOptions() {
+  const datalist = document.getElementById('program-options');
+  if (!datalist) return;
+  datalist.innerHTML = state.programs.map(p => `<option value="${escapeHtml(p)}"></option>`).join('');
+}
+
+if (els.addStudent) {
+  els.addStudent.addEventListener('click', addNewStudent);
+  [els.newStudentName, els.newStudentProgram].forEach(input => input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addNewStudent();
+    }
+  }));
+}
+
+if (els.sessionDate) {
+  els.sessionDate.value = localDateString();
+  els.prefillAbsent.addEventListener('click', showAbsenteePrefill);
+  els.attendanceReport.addEventListener('click', showAttendanceReport);
+}
+
+// Rotation planner: several rounds of groups planned together so students keep meeting new classmates
+const DEFAULT_ROTATION_ROUNDS = 5;
+
+function rotationStatsText(stats) {
+  const parts = [
+    `Each student meets ${stats.minMet === stats.maxMet ? stats.minMet : `${stats.minMet}–${stats.maxMet}`} of ${stats.classmates} classmates (${stats.meanMet.toFixed(1)} on average).`,
+    stats.repeatedPairs === 0
+      ? 'No pair shares a group twice.'
+      : `${stats.repeatedPairs} pair${stats.repeatedPairs === 1 ? '' : 's'} share a group more than once (at most ${stats.mostMeetings} times).`
+  ];
+  if (stats.roundsMissingPrograms > 0) {
+    parts.push(`${stats.roundsMissingPrograms} round${stats.roundsMissingPrograms === 1 ? ' has' : 's have'} groups missing a program.`);
+  }
+  return parts.join(' ');
+}
+
+function rotationRoundHtml(round, theme, programColors) {
+  const names = themedGroupNames(round.groups.length, theme);
+  return round.groups.map((g, i) => `
+    <div class="rotation-group">
+      <h4>${escapeHtml(names[i])}</h4>
+      ${g.missingPrograms ? `<p class="group-warning">Missing: ${escapeHtml(g.missingPrograms.join(', '))}</p>` : ''}
+      <ul>${g.students.map(s => `<li>${escapeHtml(s.name)} <span class="tag" style="background-color: ${programColors[s.program] || '#666'}">${escapeHtml(s.program)}</span></li>`).join('')}</ul>
+    </div>
+  `).join('');
+}
+
+function downloadText(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+function showRotationPlanner() {
+  const text = (els.csvText && els.csvText.value ? els.csvText.value : '').trim();
+  if (!text) {
+    alert('CSV data is empty. Paste CSV into the CSV data field or select a file to populate it.');
+    return;
+  }
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal rotation-modal">
+      <div class="modal-header">
+        <h3>Plan a rotation</h3>
+        <button class="close-btn" type="button">×</button>
+      </div>
+      <div class="modal-content rotation-planner">
+        <div class="row gap rotation-settings">
+          <label for="rotation-rounds">Rounds</label>
+          <input id="rotation-rounds" type="number" min="1" max="20" value="${DEFAULT_ROTATION_ROUNDS}" />
+          <button class="do-plan" type="button">Plan</button>
+        </div>
+        <p class="hint">Uses the group size, balance and constraint settings. Absent students are left out; pairings saved with the class count as already met.</p>
+        <div class="rotation-result" hidden>
+          <p class="rotation-stats"></p>
+          <div class="rotation-tabs" role="tablist" aria-label="Rounds"></div>
+          <div class="rotation-round groups-area" role="tabpanel" tabindex="0"></div>
+          <div class="row gap">
+            <button class="use-round" type="button">Use this round</button>
+            <button class="export-rotation-csv" type="button">Export CSV</button>
+            <button class="export-rotation-md" type="button">Export Markdown</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+  const roundsInput = modal.querySelector('#rotation-rounds');
+  const result = modal.querySelector('.rotation-result');
+  const tabs = modal.querySelector('.rotation-tabs');
+  const panel = modal.querySelector('.rotation-round');
+  let plan = [];
+  let selected = 0;
+  let programColors = {};
+  const theme = els.theme ? els.theme.value : 'numeric';
+
+  const showRound = (index) => {
+    selected = index;
+    tabs.querySelectorAll('[role="tab"]').forEach((tab, i) => {
+      tab.setAttribute('aria-selected', i === index ? 'true' : 'false');
+      tab.tabIndex = i === index ? 0 : -1;
+    });
+    panel.setAttribute('aria-labelledby', `rotation-tab-${index + 1}`);
+    panel.innerHTML = rotationRoundHtml(plan[index], theme, programColors);
+  };
+
+  modal.querySelector('.close-btn').addEventListener('click', () => modal.remove());
+  modal.querySelector('.do-plan').addEventListener('click', () => {
+    const rounds = parseInt(roundsInput.value, 10);
+    if (!(rounds >= 1)) {
+      alert('Plan at least 1 round');
+      return;
+    }
+    try {
+      const absentIds = new Set(state.absentStudents.map(studentKey));
+      const students = parseCSV(text).students.filter(s => !absentIds.has(s.id));
+      const seed = els.seed.value ? parseInt(els.seed.value, 10) : undefined;
+      plan = planRotation(students, parseInt(els.groupSize.value, 10), rounds, seed, groupingOptions());
+    } catch (err) {
+      alert(String(err));
+      return;
+    }
+    programColors = getProgramColors(plan[0].programs);
+    modal.querySelector('.rotation-stats').textContent = rotationStatsText(rotationStats(plan));
+    tabs.innerHTML = plan.map((_, i) => `<button type="button" role="tab" id="rotation-tab-${i + 1}">Round ${i + 1}</button>`).join('');
+    tabs.querySelectorAll('[role="tab"]').forEach((tab, i) => tab.addEventListener('click', () => showRound(i)));
+    result.hidden = false;
+    showRound(0);
+  });
+  // Arrow keys move between round tabs
+  tabs.addEventListener('keydown', (e) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    showRound((selected + (e.key === 'ArrowRight' ? 1 : -1) + plan.length) % plan.length);
+    tabs.querySelectorAll('[role="tab"]')[selected].focus();
+  });
+  modal.querySelector('.use-round').addEventListener('click', () => {
+    const round = plan[selected];
+    pushUndo(snapshotState());
+    state.programs = round.programs;
+    state.groupSize = round.groupSize;
+    state.groups = withAssignments(round.groups);
+    state.theme = theme;
+    state.lastCsvText = text;
+    renderGroups(state.groups);
+    announce(`Using round ${selected + 1}: ${state.groups.length} groups.`);
+    reportGroupingOutcome(state.groups);
+    enableControls(true);
+    modal.remove();
+  });
+  const filename = `${((els.className && els.className.value.trim()) || 'rotation').replace(/[^\w.-]+/g, '_')}-rounds`;
+  modal.querySelector('.export-rotation-csv').addEventListener('click', () => downloadText(rotationToCSV(plan), `${filename}.csv`, 'text/csv'));
+  modal.querySelector('.export-rotation-md').addEventListener('click', () => downloadText(rotationToMarkdown(plan, theme), `${filename}.md`, 'text/markdown'));
+  roundsInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      modal.querySelector('.do-plan').click();
+    }
+  });
+  document.body.appendChild(modal);
+  roundsInput.focus();
+}
+
+if (els.planRotation) els.planRotation.addEventListener('click', showRotationPlanner);
+
+// In-group roles (facilitator, note-taker, ...), handed out whenever groups are formed and
+// rotated using the roles recorded with the class's saved sessions
+function parseRoleList(text) {
+  return [...new Set(text.split(',').map(r => r.trim()).filter(Boolean))];
+}
+
+function renderRoleList() {
+  if (els.roleList) els.roleList.value = state.roles.join(', ');
+}
+
+function currentPastRoles() {
+  const className = els.className ? els.className.value.trim() : '';
+  const classData = className ? getClassHistory().find(item => item.name === className) : null;
+  return pastRoleCounts(classData && classData.history);
+}
+
+function withRoles(groups) {
+  if (state.roles.length === 0) return groups;
+  return assignRoles(groups, state.roles, currentPastRoles(), els.seed.value ? parseInt(els.seed.value, 10) : undefined);
+}
+
+function reassignRoles() {
+  const payload = currentPayload();
+  if (payload.groups.length === 0) {
+    alert('Generate groups first');
+    return;
+  }
+  recordUndo();
+  const groups = groupsFromPayload(payload.groups);
+  // With no roles listed this clears the roles shown
+  state.groups = state.roles.length > 0 ? withRoles(groups) : assignRoles(groups, [], null);
+  renderGroups(state.groups);
+  announce(state.roles.length > 0 ? `Assigned roles: ${state.roles.join(', ')}.` : 'Roles cleared.');
+}
+
+if (els.roleList) {
+  els.roleList.addEventListener('change', () => {
+    state.roles = parseRoleList(els.roleList.value);
+    renderRoleList();
+  });
+  els.assignRoles.addEventListener('click', () => {
+    state.roles = parseRoleList(els.roleList.value);
+    renderRoleList();
+    reassignRoles();
+  });
+}
+
+// Rooms with a seat capacity, one per line as "name, capacity"; groups are placed in them
+// whenever groups are formed (see assignRooms)
+function parseRoomList(text) {
+  const rooms = [];
+  const invalid = [];
+  for (const line of text.split(/\r?\n/).map(l => l.trim()).filter(Boolean)) {
+    const match = line.match(/^(.+?)\s*[,;:\t]\s*(\d+)$/);
+    if (match && parseInt(match[2], 10) > 0 && !rooms.some(r => r.name === match[1])) {
+      rooms.push({ name: match[1], capacity: parseInt(match[2], 10) });
+    } else {
+      invalid.push(line);
+    }
+  }
+  return { rooms, invalid };
+}
+
+function renderRoomList() {
+  if (els.roomList) els.roomList.value = state.rooms.map(r => `${r.name}, ${r.capacity}`).join('\n');
+}
+
+function withRooms(groups) {
+  if (state.rooms.length === 0) return groups.map(({ room, ...g }) => g);
+  const rooms = assignRooms(groups, state.rooms);
+  return groups.map(({ room, ...g }, i) => (rooms[i] ? { ...g, room: rooms[i] } : g));
+}
+
+// Roles, rooms and TAs are handed out again whenever groups are formed
+function withAssignments(groups) {
+  return withTAs(withRooms(withRoles(groups)));
+}
+
+// Students per room across the groups on screen; rooms over capacity after manual moves are flagged
+function renderRoomOccupancy() {
+  const sections = Array.from(document.querySelectorAll('.group'));
+  const seated = new Map();
+  for (const g of sections) {
+    if (g.dataset.room) seated.set(g.dataset.room, (seated.get(g.dataset.room) || 0) + g.querySelectorAll('.student').length);
+  }
+  for (const g of sections) {
+    const badge = g.querySelector('.room');
+    const room = state.rooms.find(r => r.name === g.dataset.room);
+    if (!badge || !room) continue;
+    const over = seated.get(room.name) > room.capacity;
+    badge.classList.toggle('over-capacity', over);
+    badge.title = `${seated.get(room.name)} of ${room.capacity} seats taken${over ? ': over capacity' : ''}`;
+  }
+}
+
+function roomNotes(groups) {
+  if (state.rooms.length === 0) return [];
+  const names = themedGroupNames(groups.length, state.theme);
+  const unplaced = groups.map((g, i) => (g.room ? null : `${names[i]} (${g.students.length})`)).filter(Boolean);
+  return unplaced.length > 0 ? [`No room has space for ${unplaced.join(', ')}. Add rooms or raise their capacity.`] : [];
+}
+
+function reassignRooms() {
+  const { rooms, invalid } = parseRoomList(els.roomList.value);
+  state.rooms = rooms;
+  if (invalid.length > 0) {
+    showGroupBanner(`Skipped room lines (use "name, capacity"): ${invalid.join('; ')}.`, 'warning');
+    return;
+  }
+  renderRoomList();
+  const payload = currentPayload();
+  if (payload.groups.length === 0) return;
+  recordUndo();
+  state.groups = withRooms(groupsFromPayload(payload.groups));
+  renderGroups(state.groups);
+  announce(state.rooms.length > 0 ? 'Groups placed in rooms.' : 'Rooms cleared.');
+  const notes = roomNotes(state.groups);
+  if (notes.length > 0) showGroupBanner(notes.join(' '), 'warning');
+  else clearGroupBanner();
+}
+
+if (els.roomList) {
+  els.roomList.addEventListener('change', () => {
+    const { rooms, invalid } = parseRoomList(els.roomList.value);
+    state.rooms = rooms;
+    if (invalid.length > 0) showGroupBanner(`Skipped room lines (use "name, capacity"): ${invalid.join('; ')}.`, 'warning');
+  });
+  els.assignRooms.addEventListener('click', reassignRooms);
+}
+
+// Teaching assistants, one per line, optionally with the programs they should cover after a
+// colon ("Kari: CS, Math"); the groups are shared evenly among them (see assignTAs)
+function parseTaList(text) {
+  const tas = [];
+  for (const line of text.split(/\r?\n/).map(l => l.trim()).filter(Boolean)) {
+    const [name, programs = ''] = line.split(/\s*:\s*/, 2);
+    if (!name || tas.some(t => t.name === name)) continue;
+    tas.push({ name, programs: [...new Set(programs.split(',').map(p => p.trim()).filter(Boolean))] });
+  }
+  return tas;
+}
+
+function renderTaList() {
+  if (els.taList) els.taList.value = state.tas.map(t => (t.programs.length > 0 ? `${t.name}: ${t.programs.join(', ')}` : t.name)).join('\n');
+}
+
+function withTAs(groups) {
+  if (state.tas.length === 0) return groups.map(({ ta, ...g }) => g);
+  const tas = assignTAs(groups, state.tas);
+  return groups.map(({ ta, ...g }, i) => (tas[i] ? { ...g, ta: tas[i] } : g));
+}
+
+// TA programs that no student in the class studies, most likely typos
+function taNotes() {
+  if (state.programs.length === 0) return [];
+  const unknown = [...new Set(state.tas.flatMap(t => t.programs).filter(p => !state.programs.includes(p)))];
+  return unknown.length > 0 ? [`No students study ${unknown.join(', ')}; check the programs listed for the TAs.`] : [];
+}
+
+function reassignTAs() {
+  state.tas = parseTaList(els.taList.value);
+  renderTaList();
+  const payload = currentPayload();
+  if (payload.groups.length === 0) return;
+  recordUndo();
+  state.groups = withTAs(groupsFromPayload(payload.groups));
+  renderGroups(state.groups);
+  announce(state.tas.length > 0 ? `Groups shared among ${state.tas.length} TAs.` : 'TAs cleared.');
+  const notes = taNotes();
+  if (notes.length > 0) showGroupBanner(notes.join(' '), 'warning');
+  else clearGroupBanner();
+}
+
+// Swap the TAs of two groups; a TA dropped on a group without one simply moves there
+function swapGroupTAs(from, to) {
+  const sections = Array.from(document.querySelectorAll('.group'));
+  const a = sections.indexOf(from);
+  const b = sections.indexOf(to);
+  const payload = currentPayload();
+  const { ta: taA } = payload.groups[a];
+  const { ta: taB } = payload.groups[b];
+  recordUndo();
+  delete payload.groups[a].ta;
+  delete payload.groups[b].ta;
+  if (taB) payload.groups[a].ta = taB;
+  payload.groups[b].ta = taA;
+  state.groups = groupsFromPayload(payload.groups);
+  renderGroups(state.groups);
+  const moved = document.querySelectorAll('.group')[b].querySelector('.ta');
+  if (moved) moved.focus();
+  const names = themedGroupNames(sections.length, state.theme);
+  announce(taB ? `${taA} and ${taB} swapped: ${taA} now has ${names[b]}, ${taB} has ${names[a]}.` : `${taA} moved to ${names[b]}.`);
+}
+
+function moveTAByKeyboard(section, step) {
+  const sections = Array.from(document.querySelectorAll('.group'));
+  if (section.classList.contains('is-pinned')) {
+    announce(`${section.querySelector('h2').textContent} is pinned. Unpin it before moving its TA.`);
+    return;
+  }
+  let index = sections.indexOf(section) + step;
+  while (sections[index] && sections[index].classList.contains('is-pinned')) index += step;
+  if (!sections[index]) return;
+  swapGroupTAs(section, sections[index]);
+}
+
+if (els.taList) {
+  els.taList.addEventListener('change', () => {
+    state.tas = parseTaList(els.taList.value);
+  });
+  els.assignTAs.addEventListener('click', reassignTAs);
+}
+
 // Class list management
 const CLASS_HISTORY_KEY = 'class_list_history';
 const MAX_HISTORY_SIZE = 20;
 const SHOW_IN_DROPDOWN = 5;
+const MAX_SESSIONS_PER_CLASS = 60;
 
 function saveClassList(className, content) {
   try {
     const history = getClassHistory();
     
-    // Remove if class with same name already exists
+    // Remove if class with same name already exists, but keep its past sessions
     const existingIndex = history.findIndex(item => item.name === className);
+    let pastGroupings = [];
     if (existingIndex !== -1) {
+      pastGroupings = history[existingIndex].history || [];
       history.splice(existingIndex, 1);
     }
     
@@ -1171,6 +2161,14 @@ function saveClassList(className, content) {
       content: content,
       timestamp: new Date().toISOString(),
       size: content.length,
+      balanceBy: state.balanceBy.slice(),
+      scoreColumn: state.scoreColumn,
+      constraints: state.studentConstraints.slice(),
+      roles: state.roles.slice(),
+      rooms: state.rooms.slice(),
+      tas: state.tas.slice(),
+      sizing: { mode: state.sizeMode, numGroups: state.numGroups, minSize: state.minSize, maxSize: state.maxSize },
+      history: pastGroupings,
       lastGroups: null // Will be updated when groups are generated
     });
     
@@ -1198,6 +2196,208 @@ function updateClassWithGroups(className, groups) {
   }
 }
 
+// Calendar date in the user's time zone, as YYYY-MM-DD
+function localDateString(date = new Date()) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+}
+
+// Record a dated session on a class: who was in which group and who was absent.
+// One entry per date, the latest save wins.
+function recordSession(classData, groups, absent, date = localDateString()) {
+  const entry = { date, groups: groups.map(g => g.students.map(studentKey)), absent: absent.map(studentKey) };
+  const roles = groups.flatMap(g => g.students.filter(s => s.role).map(s => [studentKey(s), s.role]));
+  if (roles.length > 0) entry.roles = Object.fromEntries(roles);
+  const past = (classData.history || []).filter(h => h.date !== date);
+  past.push(entry);
+  past.sort((a, b) => a.date.localeCompare(b.date));
+  classData.history = past.slice(-MAX_SESSIONS_PER_CLASS);
+}
+
+// Per-student attendance over a class's sessions, which store student IDs; `students` supplies
+// the names. Students count only for sessions they appear in.
+function attendanceStats(sessions, students = []) {
+  const dates = sessions.map(s => s.date);
+  const known = new Map(students.map(s => [studentKey(s), s]));
+  const byKey = new Map();
+  const row = (key) => {
+    if (!byKey.has(key)) {
+      const [name, program = ''] = known.has(key) ? [known.get(key).name, known.get(key).program] : key.split(':::');
+      byKey.set(key, { id: key, name, program, present: 0, absent: 0, rate: 0, byDate: {} });
+    }
+    return byKey.get(key);
+  };
+  for (const session of sessions) {
+    for (const key of session.groups.flat()) {
+      row(key).present++;
+      row(key).byDate[session.date] = 'present';
+    }
+    for (const key of session.absent || []) {
+      row(key).absent++;
+      row(key).byDate[session.date] = 'absent';
+    }
+  }
+  const rows = [...byKey.values()].sort((a, b) => a.name.localeCompare(b.name));
+  for (const r of rows) r.rate = r.present / (r.present + r.absent);
+  return { dates, rows };
+}
+
+function formatRate(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+function exportAttendanceCSV(className, stats) {
+  const lines = [['name', 'program', 'id', 'present', 'absent', 'rate', ...stats.dates].map(csvField).join(',')];
+  for (const r of stats.rows) {
+    lines.push([r.name, r.program, r.id, r.present, r.absent, formatRate(r.rate), ...stats.dates.map(d => r.byDate[d] || '')].map(csvField).join(','));
+  }
+  const blob = new Blob([lines.join('\n')], { type: 'text/csv' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${className.replace(/[^\w.-]+/g, '_')}-attendance.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+function showAttendanceReport() {
+  const className = els.className ? els.className.value.trim() : '';
+  const classData = className ? getClassHistory().find(item => item.name === className) : null;
+  if (!classData || !classData.history || classData.history.length === 0) {
+    alert('No sessions recorded yet. Sessions are recorded when you save the class with groups.');
+    return;
+  }
+  let roster = [];
+  try { roster = parseCSV(classData.content).students; } catch (_) {}
+  const stats = attendanceStats(classData.history, [...roster, ...(classData.absent || []), ...(classData.lastGroups || []).flatMap(g => g.students)]);
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal">
+      <div class="modal-header">
+        <h3>Attendance: ${escapeHtml(className)}</h3>
+        <button class="close-btn" type="button">×</button>
+      </div>
+      <div class="modal-content attendance-report">
+        <p class="hint">${stats.dates.length} session${stats.dates.length === 1 ? '' : 's'}, ${stats.dates[0]} to ${stats.dates[stats.dates.length - 1]}</p>
+        <table>
+          <tr><th>Name</th><th>Program</th><th>Present</th><th>Absent</th><th>Rate</th></tr>
+          ${stats.rows.map(r => `<tr><td>${escapeHtml(r.name)}</td><td>${escapeHtml(r.program)}</td><td>${r.present}</td><td>${r.absent}</td><td>${formatRate(r.rate)}</td></tr>`).join('')}
+        </table>
+        <button class="export-attendance" type="button">Export CSV</button>
+      </div>
+    </div>
+  `;
+  modal.querySelector('.close-btn').addEventListener('click', () => modal.remove());
+  modal.querySelector('.export-attendance').addEventListener('click', () => exportAttendanceCSV(className, stats));
+  document.body.appendChild(modal);
+}
+
+// Mark everyone on a pasted list (one name per line, e.g. from a sign-in sheet) absent
+function showAbsenteePrefill() {
+  if (document.querySelectorAll('.student-list .student').length === 0) {
+    alert('Generate groups first');
+    return;
+  }
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal">
+      <div class="modal-header">
+        <h3>Mark absentees</h3>
+        <button class="close-btn" type="button">×</button>
+      </div>
+      <div class="modal-content attendance-prefill">
+        <label for="absentee-names">Names, one per line</label>
+        <textarea id="absentee-names" rows="8"></textarea>
+        <button class="do-prefill" type="button">Mark absent</button>
+      </div>
+    </div>
+  `;
+  modal.querySelector('.close-btn').addEventListener('click', () => modal.remove());
+  modal.querySelector('.do-prefill').addEventListener('click', () => {
+    const names = modal.querySelector('textarea').value.split(/\r?\n/).map(n => n.trim()).filter(Boolean);
+    modal.remove();
+    markAbsentByName(names);
+  });
+  document.body.appendChild(modal);
+  modal.querySelector('textarea').focus();
+}
+
+function markAbsentByName(names) {
+  const items = Array.from(document.querySelectorAll('.student-list .student'));
+  const alreadyAbsent = new Set(state.absentStudents.map(s => s.name.toLowerCase()));
+  const matched = [];
+  const unmatched = [];
+  const pinned = [];
+  const ambiguous = [];
+  for (const name of names) {
+    const wanted = name.toLowerCase();
+    const hits = items.filter(li => li.dataset.name.toLowerCase() === wanted);
+    // Pinned groups keep their members
+    const movable = hits.filter(li => !li.closest('.group.is-pinned'));
+    if (movable.length < hits.length) pinned.push(name);
+    // Two students share the name: leave it to the teacher to pick the right one
+    if (movable.length > 1) {
+      if (!ambiguous.includes(name)) ambiguous.push(name);
+    } else if (hits.length > 0) {
+      matched.push(...movable.filter(li => !matched.includes(li)));
+    } else if (!alreadyAbsent.has(wanted)) {
+      unmatched.push(name);
+    }
+  }
+  if (matched.length > 0) {
+    recordUndo();
+    matched.forEach(markStudentAbsent);
+    announce(`${matched.length} student${matched.length === 1 ? '' : 's'} marked absent.`);
+  }
+  const notes = [
+    ...(unmatched.length > 0 ? [`No student in the groups is called: ${unmatched.join(', ')}.`] : []),
+    ...(pinned.length > 0 ? [`Left in pinned groups: ${pinned.join(', ')}.`] : []),
+    ...(ambiguous.length > 0 ? [`More than one student is called ${ambiguous.join(', ')}; mark them by hand.`] : [])
+  ];
+  if (notes.length > 0) {
+    showGroupBanner(`Marked ${matched.length} absent. ${notes.join(' ')}`, 'warning');
+  } else {
+    showGroupBanner(`Marked ${matched.length} absent.`, 'info');
+  }
+}
+
+// Pairings from the saved class matching the class name field
+function currentPastPairs() {
+  const className = els.className ? els.className.value.trim() : '';
+  if (!className) return undefined;
+  const classData = getClassHistory().find(item => item.name === className);
+  if (!classData || !classData.history || classData.history.length === 0) return undefined;
+  return pastPairCounts(classData.history);
+}
+
+// Broken student constraints are an error; otherwise report how many past pairings repeat.
+// Notes (e.g. skipped CSV rows) are shown first and turn the banner into a warning.
+function reportGroupingOutcome(groups, notes = []) {
+  notes = [...notes, ...roomNotes(groups)];
+  const violations = constraintViolations(groups, state.studentConstraints, state.groupSize);
+  if (violations.length > 0) {
+    showGroupBanner([...notes, `Could not satisfy all student constraints: ${violations.join(' ')}`].join(' '));
+    return;
+  }
+  const messages = notes.slice();
+  const pastPairs = currentPastPairs();
+  if (pastPairs) {
+    const repeats = countRepeatPairs(groups, pastPairs);
+    messages.push(repeats === 0
+      ? 'No repeat pairs: nobody shares a group with someone from an earlier grouping.'
+      : `${repeats} repeat pair${repeats === 1 ? ' remains' : 's remain'} from earlier groupings.`);
+  }
+  if (messages.length > 0) showGroupBanner(messages.join(' '), notes.length > 0 ? 'warning' : 'info');
+}
+
+function skippedRowsNote(skipped) {
+  if (!skipped || skipped.length === 0) return [];
+  const details = skipped.map(r => `line ${r.line} (${r.reason})`).join(', ');
+  return [`Skipped ${skipped.length} CSV row${skipped.length === 1 ? '' : 's'}: ${details}.`];
+}
+
 function getClassHistory() {
   try {
     const stored = localStorage.getItem(CLASS_HISTORY_KEY);
@@ -1226,13 +2426,14 @@ function createClassHistoryList() {
       <label>Saved classes:</label>
       <div class="class-list">
         <div class="class-item example-class">
-          <div class="class-content" onclick="loadExampleClass()">
+          <div class="class-content">
             <div class="class-name">Example Class</div>
             <div class="class-meta">Click to load sample data</div>
           </div>
         </div>
       </div>
     `;
+    container.querySelector('.class-content').addEventListener('click', loadExampleClass);
   } else {
     // Show up to 4 most recent saved classes
     const recent = history.slice(0, 4);
@@ -1242,20 +2443,27 @@ function createClassHistoryList() {
       <div class="class-list">
         ${visibleSorted.map(classData => `
           <div class="class-item">
-            <div class="class-content" onclick="loadClassFromList('${classData.name}')">
-              <div class="class-name">${classData.name}</div>
-              <div class="class-meta">${new Date(classData.timestamp).toLocaleDateString()} • ${classData.size} chars</div>
+            <div class="class-content">
+              <div class="class-name">${escapeHtml(classData.name)}</div>
+              <div class="class-meta">${new Date(classData.timestamp).toLocaleDateString()} • ${classData.size} chars${classData.history && classData.history.length ? ` • ${classData.history.length} session${classData.history.length === 1 ? '' : 's'}` : ''}</div>
             </div>
-            <button class="delete-btn" onclick="deleteClass('${classData.name}')" title="Delete class">🗑️</button>
+            <button class="delete-btn" title="Delete class">🗑️</button>
           </div>
         `).join('')}
         ${history.length > 4 ? `
-          <button class="more-btn" onclick="showAllClassesModal(${JSON.stringify(history).replace(/"/g, '&quot;')})">
+          <button class="more-btn">
             Show ${history.length - 4} more classes...
           </button>
         ` : ''}
       </div>
     `;
+    container.querySelectorAll('.class-item').forEach((item, i) => {
+      const { name } = visibleSorted[i];
+      item.querySelector('.class-content').addEventListener('click', () => loadClassFromList(name));
+      item.querySelector('.delete-btn').addEventListener('click', () => deleteClass(name));
+    });
+    const more = container.querySelector('.more-btn');
+    if (more) more.addEventListener('click', () => showAllClassesModal(history));
   }
   
   return container;
@@ -1264,8 +2472,28 @@ function createClassHistoryList() {
 // Global function for loading class from list
 function applyLoadedClassData(classData) {
   if (!classData || !els.csvText) return;
+  // Undo steps belong to the class that was open
+  clearUndoHistory();
   els.csvText.value = classData.content;
   if (els.className) els.className.value = classData.name;
+  state.balanceBy = Array.isArray(classData.balanceBy) ? classData.balanceBy.slice() : [];
+  state.scoreColumn = classData.scoreColumn || '';
+  state.studentConstraints = Array.isArray(classData.constraints) ? classData.constraints.slice() : [];
+  renderConstraintList();
+  state.roles = Array.isArray(classData.roles) ? classData.roles.slice() : [];
+  renderRoleList();
+  state.rooms = Array.isArray(classData.rooms) ? classData.rooms.slice() : [];
+  renderRoomList();
+  state.tas = Array.isArray(classData.tas) ? classData.tas.slice() : [];
+  renderTaList();
+  if (classData.sizing) {
+    state.sizeMode = classData.sizing.mode === 'groups' ? 'groups' : 'size';
+    state.numGroups = classData.sizing.numGroups || state.numGroups;
+    state.minSize = classData.sizing.minSize || 0;
+    state.maxSize = classData.sizing.maxSize || 0;
+    renderSizeMode();
+  }
+  refreshBalanceOptions();
   if (classData.lastGroups && classData.lastGroups.length > 0) {
     state.groups = classData.lastGroups;
     state.programs = [...new Set(classData.lastGroups.flatMap(g => g.students.map(s => s.program)))];
@@ -1285,24 +2513,170 @@ function applyLoadedClassData(classData) {
   }
 }
 
-window.loadClassFromList = function(className) {
+// Replace the current session with an imported one, locks and absences included
+function restoreSession(session) {
+  clearUndoHistory();
+  if (els.csvText) els.csvText.value = session.csv;
+  if (els.className) els.className.value = session.className;
+  els.seed.value = session.seed === null ? '' : String(session.seed);
+  if (els.theme) {
+    els.theme.value = session.theme;
+    // Unknown themes fall back to the select's first option
+    if (els.theme.value !== session.theme) els.theme.selectedIndex = 0;
+    state.theme = els.theme.value;
+  }
+  state.sizeMode = session.sizing.mode;
+  state.numGroups = session.sizing.numGroups;
+  state.minSize = session.sizing.minSize;
+  state.maxSize = session.sizing.maxSize;
+  renderSizeMode();
+  state.balanceBy = session.balanceBy.slice();
+  state.scoreColumn = session.scoreColumn;
+  state.studentConstraints = session.constraints.slice();
+  renderConstraintList();
+  state.roles = session.roles.slice();
+  renderRoleList();
+  state.rooms = session.rooms.slice();
+  renderRoomList();
+  state.tas = session.tas.slice();
+  renderTaList();
+  refreshBalanceOptions();
+  state.programs = session.programs.slice();
+  state.groupSize = session.groupSize;
+  els.groupSize.value = String(session.groupSize || els.groupSize.value);
+  state.lastCsvText = session.csv;
+  state.absentStudents = session.absent.slice();
+  state.groups = groupsFromPayload(session.groups.map((students, i) => ({ students, room: session.groupRooms[i], ta: session.groupTAs[i], capacity: session.groupCapacities[i], pinned: session.pinnedGroups[i] })));
+  renderGroups(state.groups);
+  enableControls(state.groups.length > 0);
+  clearGroupBanner();
+  announce(`Imported session with ${state.groups.length} groups.`);
+}
+
+async function importSessionFile(file) {
+  try {
+    restoreSession(parseSession(await file.text()));
+  } catch (err) {
+    alert(`Could not import session: ${err.message || err}`);
+  }
+}
+
+function isSessionFile(file) {
+  return /\.json$/i.test(file.name) || file.type === 'application/json';
+}
+
+// Share links carry the session, deflated and base64url-encoded, in the URL fragment,
+// so the groups never reach a server
+const SHARE_PREFIX = '#share=';
+
+async function encodeSharedSession(session) {
+  const stream = new Blob([JSON.stringify(session)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function decodeSharedSession(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return parseSession(await new Response(stream).text());
+}
+
+function hasSharedLink() {
+  return window.location.hash.startsWith(SHARE_PREFIX);
+}
+
+async function copyShareLink() {
+  let url;
+  try {
+    const base = window.location.href.split('#')[0];
+    url = base + SHARE_PREFIX + await encodeSharedSession(sessionData());
+  } catch (err) {
+    alert(`Could not create a share link: ${err.message || err}`);
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+    showGroupBanner(`Share link copied (${url.length} characters). Anyone opening it sees these groups.`, 'info');
+    announce('Share link copied.');
+  } catch (_) {
+    // Clipboard access can be refused; let the user copy it by hand
+    window.prompt('Copy this share link', url);
+  }
+}
+
+// Open the session in the URL fragment, if any. Returns whether one was restored.
+async function restoreSharedLink() {
+  if (!hasSharedLink()) return false;
+  try {
+    const session = await decodeSharedSession(window.location.hash.slice(SHARE_PREFIX.length));
+    restoreSession(session);
+    showSharedSessionPrompt(session);
+    return true;
+  } catch (err) {
+    alert(`Could not open the shared link: ${err.message || err}`);
+    return false;
+  }
+}
+
+function showSharedSessionPrompt(session) {
+  const students = session.groups.reduce((n, g) => n + g.length, 0);
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal">
+      <div class="modal-header">
+        <h3>Shared groups</h3>
+        <button class="close-btn" type="button">×</button>
+      </div>
+      <div class="modal-content shared-session">
+        <p>This link opened ${session.groups.length} groups with ${students} students${session.className ? ` from "${escapeHtml(session.className)}"` : ''}.</p>
+        <label>Class name <input class="shared-class-name" type="text" /></label>
+        <div class="row gap">
+          <button class="save-shared" type="button">Save as class</button>
+          <button class="keep-shared" type="button">Keep without saving</button>
+        </div>
+      </div>
+    </div>
+  `;
+  const nameInput = modal.querySelector('.shared-class-name');
+  nameInput.value = session.className;
+  modal.querySelector('.close-btn').addEventListener('click', () => modal.remove());
+  modal.querySelector('.keep-shared').addEventListener('click', () => modal.remove());
+  modal.querySelector('.save-shared').addEventListener('click', () => {
+    const className = nameInput.value.trim();
+    if (!className) {
+      alert('Please enter a class name');
+      return;
+    }
+    if (getClassHistory().some(item => item.name === className) && !confirm(`Replace the saved class "${className}"?`)) return;
+    if (els.className) els.className.value = className;
+    saveClass();
+    // Saved: reloading should open the saved class, not the link again
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    modal.remove();
+  });
+  document.body.appendChild(modal);
+}
+
+function loadClassFromList(className) {
   const history = getClassHistory();
   const classData = history.find(item => item.name === className);
   applyLoadedClassData(classData);
-};
+}
 
-// Global function for deleting a class
-window.deleteClass = function(className) {
+function deleteClass(className) {
   if (confirm(`Are you sure you want to delete the class "${className}"?`)) {
     const history = getClassHistory();
     const updatedHistory = history.filter(item => item.name !== className);
     localStorage.setItem(CLASS_HISTORY_KEY, JSON.stringify(updatedHistory));
     updateClassHistoryUI();
   }
-};
+}
 
-// Global function for loading example class
-window.loadExampleClass = function() {
+function loadExampleClass() {
   const exampleCSV = `name,program
 Alice,Computer Science
 Bob,Mathematics
@@ -1322,11 +2696,12 @@ Ola,Physics`;
   
   if (els.csvText) {
     els.csvText.value = exampleCSV;
+    refreshBalanceOptions();
   }
   if (els.className) {
     els.className.value = 'Example Class';
   }
-};
+}
 
 function showAllClassesModal(history) {
   const modal = document.createElement('div');
@@ -1335,31 +2710,36 @@ function showAllClassesModal(history) {
     <div class="modal">
       <div class="modal-header">
         <h3>All Saved Classes</h3>
-        <button class="close-btn" onclick="this.closest('.modal-overlay').remove()">×</button>
+        <button class="close-btn" type="button">×</button>
       </div>
       <div class="modal-content">
         ${history.map(classData => `
           <div class="file-item">
-            <div class="file-content" onclick="loadClassFromModal('${classData.name}'); this.closest('.modal-overlay').remove();">
-              <div class="file-name">${classData.name}</div>
+            <div class="file-content">
+              <div class="file-name">${escapeHtml(classData.name)}</div>
               <div class="file-meta">${new Date(classData.timestamp).toLocaleString()} • ${classData.size} chars</div>
             </div>
-            <button class="delete-btn" onclick="deleteClass('${classData.name}'); this.closest('.modal-overlay').remove();" title="Delete class">🗑️</button>
+            <button class="delete-btn" title="Delete class">🗑️</button>
           </div>
         `).join('')}
       </div>
     </div>
   `;
+  modal.querySelector('.close-btn').addEventListener('click', () => modal.remove());
+  modal.querySelectorAll('.file-item').forEach((item, i) => {
+    const { name } = history[i];
+    item.querySelector('.file-content').addEventListener('click', () => {
+      loadClassFromList(name);
+      modal.remove();
+    });
+    item.querySelector('.delete-btn').addEventListener('click', () => {
+      deleteClass(name);
+      modal.remove();
+    });
+  });
   document.body.appendChild(modal);
 }
 
-// Global function for modal class loading
-window.loadClassFromModal = function(className) {
-  const history = getClassHistory();
-  const classData = history.find(item => item.name === className);
-  applyLoadedClassData(classData);
-};
-
 function updateClassHistoryUI() {
   // Remove existing history list if present
   const mount = document.getElementById('saved-classes-mount');
@@ -1373,6 +2753,267 @@ function updateClassHistoryUI() {
   }
 }
 
+// Spreadsheet (.xlsx) import. An .xlsx file is a zip archive of XML parts; it is unpacked with the
+// browser's DecompressionStream and read with DOMParser, so no library is needed.
+async function unzipEntries(buffer) {
+  const view = new DataView(buffer);
+  // The end-of-central-directory record sits within the last 64 KiB (+22 bytes) of the archive
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a valid .xlsx file');
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt .xlsx file');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return async (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+    if (entry.method === 0) return decoder.decode(data);
+    if (entry.method !== 8) throw new Error(`Unsupported compression in ${name}`);
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return await new Response(stream).text();
+  };
+}
+
+// Column index from a cell reference such as "C12"
+function cellColumnIndex(ref) {
+  let idx = 0;
+  for (const ch of ref.replace(/\d+$/, '')) idx = idx * 26 + (ch.charCodeAt(0) - 64);
+  return idx - 1;
+}
+
+// Read every sheet of an .xlsx workbook as { name, rows } with rows as arrays of strings
+async function readXlsx(buffer) {
+  const read = await unzipEntries(buffer);
+  const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+  const workbookXml = await read('xl/workbook.xml');
+  if (!workbookXml) throw new Error('Not a valid .xlsx file');
+  const workbook = parseXml(workbookXml);
+  const rels = parseXml(await read('xl/_rels/workbook.xml.rels') || '<Relationships/>');
+  const targets = {};
+  for (const rel of rels.getElementsByTagName('Relationship')) {
+    const target = rel.getAttribute('Target') || '';
+    targets[rel.getAttribute('Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  const sharedStringsXml = await read('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? Array.from(parseXml(sharedStringsXml).getElementsByTagName('si')).map(si =>
+      Array.from(si.getElementsByTagName('t')).map(t => t.textContent).join(''))
+    : [];
+
+  const sheets = [];
+  for (const sheet of workbook.getElementsByTagName('sheet')) {
+    const xml = await read(targets[sheet.getAttribute('r:id')]);
+    if (!xml) continue;
+    const rows = [];
+    for (const row of parseXml(xml).getElementsByTagName('row')) {
+      const rowIdx = parseInt(row.getAttribute('r'), 10) - 1;
+      const cells = [];
+      for (const c of row.getElementsByTagName('c')) {
+        const type = c.getAttribute('t');
+        const v = c.getElementsByTagName('v')[0];
+        let value = v ? v.textContent : '';
+        if (type === 's') value = sharedStrings[parseInt(value, 10)] || '';
+        else if (type === 'inlineStr') value = Array.from(c.getElementsByTagName('t')).map(t => t.textContent).join('');
+        else if (type === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+        const ref = c.getAttribute('r');
+        cells[ref ? cellColumnIndex(ref) : cells.length] = value;
+      }
+      rows[Number.isNaN(rowIdx) ? rows.length : rowIdx] = Array.from(cells, x => x || '');
+    }
+    sheets.push({ name: sheet.getAttribute('name'), rows: Array.from(rows, r => r || []) });
+  }
+  if (sheets.length === 0) throw new Error('The workbook has no sheets');
+  return sheets;
+}
+
+// Turn a sheet into roster CSV text: the mapped columns become name and program,
+// other named columns are kept as attributes
+function sheetToCSV(rows, headerRow, nameCol, programCol) {
+  const header = rows[headerRow] || [];
+  const extra = header.map((h, i) => ({ h: String(h).trim(), i })).filter(x => x.h && x.i !== nameCol && x.i !== programCol);
+  const lines = [['name', 'program', ...extra.map(x => x.h)].map(csvField).join(',')];
+  for (const row of rows.slice(headerRow + 1)) {
+    const cells = [row[nameCol], row[programCol], ...extra.map(x => row[x.i])].map(v => String(v === undefined ? '' : v).trim());
+    if (cells.every(c => c === '')) continue;
+    lines.push(cells.map(csvField).join(','));
+  }
+  return lines.join('\n');
+}
+
+function guessColumn(header, aliases, fallback) {
+  const idx = header.findIndex(h => aliases.has(String(h).trim().toLowerCase()));
+  return idx === -1 ? fallback : idx;
+}
+
+async function importSpreadsheet(file) {
+  let sheets;
+  try {
+    sheets = await readXlsx(await file.arrayBuffer());
+  } catch (err) {
+    alert(`Could not read ${file.name}: ${err.message || err}`);
+    return;
+  }
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal">
+      <div class="modal-header">
+        <h3>Import ${escapeHtml(file.name)}</h3>
+        <button class="close-btn" type="button">×</button>
+      </div>
+      <div class="modal-content sheet-import">
+        <label>Sheet <select class="sheet-select">${sheets.map((s, i) => `<option value="${i}">${escapeHtml(s.name)}</option>`).join('')}</select></label>
+        <label>Header row <input class="header-row" type="number" min="1" value="1" /></label>
+        <label>Name column <select class="name-col"></select></label>
+        <label>Program column <select class="program-col"></select></label>
+        <div class="sheet-preview"></div>
+        <button class="do-import" type="button">Import</button>
+      </div>
+    </div>
+  `;
+  const sheetSelect = modal.querySelector('.sheet-select');
+  const headerInput = modal.querySelector('.header-row');
+  const nameSelect = modal.querySelector('.name-col');
+  const programSelect = modal.querySelector('.program-col');
+  const preview = modal.querySelector('.sheet-preview');
+  const current = () => {
+    const rows = sheets[parseInt(sheetSelect.value, 10)].rows;
+    const headerRow = Math.max(0, (parseInt(headerInput.value, 10) || 1) - 1);
+    return { rows, headerRow, header: rows[headerRow] || [] };
+  };
+  // Refill the column pickers from the chosen header row, guessing with the CSV header aliases
+  const refreshColumns = () => {
+    const { header } = current();
+    const options = header.map((h, i) => `<option value="${i}">${escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+    nameSelect.innerHTML = options;
+    programSelect.innerHTML = options;
+    nameSelect.value = String(guessColumn(header, NAME_ALIASES, 0));
+    programSelect.value = String(guessColumn(header, PROGRAM_ALIASES, Math.min(1, header.length - 1)));
+    refreshPreview();
+  };
+  const refreshPreview = () => {
+    const { rows, headerRow } = current();
+    const sample = rows.slice(headerRow + 1, headerRow + 6);
+    const nameCol = parseInt(nameSelect.value, 10);
+    const programCol = parseInt(programSelect.value, 10);
+    preview.innerHTML = sample.length
+      ? `<table><tr><th>Name</th><th>Program</th></tr>${sample.map(r => `<tr><td>${escapeHtml(r[nameCol] || '')}</td><td>${escapeHtml(r[programCol] || '')}</td></tr>`).join('')}</table>`
+      : '<p class="hint">No rows below the header row.</p>';
+  };
+  sheetSelect.addEventListener('change', refreshColumns);
+  headerInput.addEventListener('input', refreshColumns);
+  nameSelect.addEventListener('change', refreshPreview);
+  programSelect.addEventListener('change', refreshPreview);
+  modal.querySelector('.close-btn').addEventListener('click', () => modal.remove());
+  modal.querySelector('.do-import').addEventListener('click', () => {
+    const { rows, headerRow } = current();
+    const nameCol = parseInt(nameSelect.value, 10);
+    const programCol = parseInt(programSelect.value, 10);
+    if (Number.isNaN(nameCol) || Number.isNaN(programCol) || nameCol === programCol) {
+      alert('Pick two different columns for name and program');
+      return;
+    }
+    if (els.csvText) els.csvText.value = sheetToCSV(rows, headerRow, nameCol, programCol);
+    refreshBalanceOptions();
+    modal.remove();
+  });
+  refreshColumns();
+  document.body.appendChild(modal);
+}
+
+// Rebuild groups from a file written by Export CSV. Students are matched against the class
+// list in the CSV field so they keep its extra columns; rows matching nobody are flagged.
+function importGroupsCSV(parsed) {
+  let roster = [];
+  try {
+    const current = els.csvText ? els.csvText.value.trim() : '';
+    if (current && !parseGroupsCSV(current)) roster = parseCSV(current).students;
+  } catch (_) {}
+  const rosterById = new Map(roster.map(s => [s.id, s]));
+  // Rows without a matching ID (e.g. the id column was deleted) fall back to name and program when that is unambiguous
+  const byNameCount = new Map();
+  for (const s of roster) byNameCount.set(`${s.name}:::${s.program}`, (byNameCount.get(`${s.name}:::${s.program}`) || 0) + 1);
+  const rosterByName = new Map(roster.filter(s => byNameCount.get(`${s.name}:::${s.program}`) === 1).map(s => [`${s.name}:::${s.program}`, s]));
+  const lookup = (s) => rosterById.get(s.id) || rosterByName.get(`${s.name}:::${s.program}`);
+  const entries = [...parsed.groups.flat(), ...parsed.absent];
+  // A file sharing no students with the CSV field belongs to another class: it becomes the class list
+  const sameClass = entries.some(e => lookup(e.student));
+  const unmatched = [];
+  const imported = new Set();
+  const fromRoster = (e) => {
+    const known = lookup(e.student);
+    if (known && !imported.has(known.id)) {
+      imported.add(known.id);
+      return { ...e.student, id: known.id, attrs: { ...known.attrs } };
+    }
+    if (sameClass) unmatched.push(e);
+    return e.student;
+  };
+  const groups = parsed.groups.map(g => g.map(fromRoster));
+  const absent = parsed.absent.map(fromRoster);
+  const missing = sameClass ? roster.filter(s => !imported.has(s.id)) : [];
+
+  clearUndoHistory();
+  if (!sameClass && els.csvText) {
+    els.csvText.value = ['name,program,id', ...[...groups.flat(), ...absent].map(s => [s.name, s.program, s.id].map(csvField).join(','))].join('\n');
+  }
+  refreshBalanceOptions();
+  state.programs = [...new Set([...roster, ...groups.flat(), ...absent].map(s => s.program))];
+  state.groupSize = Math.max(...groups.map(g => g.length));
+  state.numGroups = groups.length;
+  els.groupSize.value = String(state.groupSize);
+  els.numGroups.value = String(state.numGroups);
+  state.lastCsvText = els.csvText ? els.csvText.value.trim() : '';
+  state.absentStudents = absent;
+  state.groups = groupsFromPayload(groups.map((students, i) => ({ students, room: parsed.rooms[i], ta: parsed.tas[i] })));
+  renderGroups(state.groups);
+  enableControls(true);
+  announce(`Rebuilt ${state.groups.length} groups from the exported CSV.`);
+
+  const notes = skippedRowsNote(parsed.skipped);
+  if (unmatched.length > 0) {
+    notes.push(`Not in the class list: ${unmatched.map(e => `line ${e.line} (${e.student.name}, ${e.student.program})`).join(', ')}.`);
+  }
+  if (missing.length > 0) {
+    notes.push(`Missing from the file: ${missing.map(s => `${s.name} (${s.program})`).join(', ')}.`);
+  }
+  if (notes.length > 0) showGroupBanner(notes.join(' '), 'warning');
+  else showGroupBanner(`Rebuilt ${state.groups.length} groups from the exported CSV.`, 'info');
+}
+
+// File contents for the CSV field, unless they are an Export CSV file to rebuild groups from.
+// A file with those columns but no grouped students is read as a roster.
+function loadCSVText(text) {
+  const exported = parseGroupsCSV(text);
+  if (exported && exported.groups.length > 0) {
+    importGroupsCSV(exported);
+    return;
+  }
+  if (els.csvText) els.csvText.value = text;
+  refreshBalanceOptions();
+}
+
+function isSpreadsheetFile(file) {
+  return /\.xlsx$/i.test(file.name) || file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+}
+
 // When the load file link is clicked, trigger file input
 if (els.loadFileLink) {
   els.loadFileLink.addEventListener('click', (e) => {
@@ -1388,9 +3029,18 @@ if (els.csv) {
   els.csv.addEventListener('change', async () => {
     const file = els.csv.files && els.csv.files[0];
     if (!file) return;
+    // Allow picking the same file again after closing the import dialog
+    els.csv.value = '';
+    if (isSpreadsheetFile(file)) {
+      importSpreadsheet(file);
+      return;
+    }
+    if (isSessionFile(file)) {
+      importSessionFile(file);
+      return;
+    }
     try {
-      const text = await file.text();
-      if (els.csvText) els.csvText.value = text;
+      loadCSVText(await file.text());
     } catch (err) {
       // ignore
     }
@@ -1419,15 +3069,18 @@ if (els.csvText) {
     const files = e.dataTransfer.files;
     if (files.length > 0) {
       const file = files[0];
-      if (file.type === 'text/csv' || file.name.endsWith('.csv')) {
+      if (isSpreadsheetFile(file)) {
+        importSpreadsheet(file);
+      } else if (isSessionFile(file)) {
+        importSessionFile(file);
+      } else if (file.type === 'text/csv' || file.name.endsWith('.csv')) {
         try {
-          const text = await file.text();
-          els.csvText.value = text;
+          loadCSVText(await file.text());
         } catch (err) {
           console.error('Error reading dropped file:', err);
         }
       } else {
-        alert('Please drop a CSV file');
+        alert('Please drop a CSV, .xlsx or exported session .json file');
       }
     }
   });
@@ -1462,6 +3115,7 @@ function saveClass() {
       if (idx !== -1) {
         history[idx].lastGroups = dataToSave;
         history[idx].absent = state.absentStudents.slice();
+        recordSession(history[idx], dataToSave, state.absentStudents, els.sessionDate.value || localDateString());
         localStorage.setItem(CLASS_HISTORY_KEY, JSON.stringify(history));
       }
     } catch (_) {}
@@ -1493,15 +3147,18 @@ if (els.className) {
 }
 
 // Initialize class history UI and load last used class on page load
-document.addEventListener('DOMContentLoaded', () => {
+// A shared link takes precedence over the last used class
+document.addEventListener('DOMContentLoaded', async () => {
   updateClassHistoryUI();
+  refreshBalanceOptions();
+  if (await restoreSharedLink()) return;
   loadLastUsedClass();
 });
 
 // Also try to update when window loads (in case DOMContentLoaded already fired)
 window.addEventListener('load', () => {
   updateClassHistoryUI();
-  loadLastUsedClass();
+  if (!hasSharedLink()) loadLastUsedClass();
 });
 
 function loadLastUsedClass() {
@@ -0,0 +1,1175 @@
+// Grouping engine: roster parsing and group formation. No DOM access, so the page,
+// the command line tool and the tests in test/ all share it.
+
+// Simple PRNG for deterministic shuffles
+function mulberry32(a) {
+  return function() {
+    a |= 0; a = a + 0x6D2B79F5 | 0;
+    let t = Math.imul(a ^ a >>> 15, 1 | a);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+}
+
+function shuffleInPlace(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor((rng ? rng() : Math.random()) * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+}
+
+// Pick the delimiter (comma, semicolon or tab) that occurs most often in the header line,
+// ignoring anything inside quotes. Norwegian Excel exports use semicolons, pasted sheets use tabs.
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  let best = ',';
+  for (const d of [';', '\t']) if (counts[d] > counts[best]) best = d;
+  return best;
+}
+
+// RFC 4180 parser: quoted fields may hold delimiters, line breaks and escaped quotes ("").
+// Returns rows as { line, cells } where line is the 1-based line the row starts on.
+// Rows without any content are dropped.
+function parseCSVRows(text, delimiter = detectDelimiter(text)) {
+  if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    cells.push(field);
+    if (cells.some(c => c.trim() !== '')) rows.push({ line: rowLine, cells });
+    cells = [];
+    field = '';
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field.trim() === '') {
+      // Opening quote, possibly after stray spaces
+      field = '';
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      cells.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || cells.length > 0) endRow();
+  return rows;
+}
+
+// Quote a value for CSV output when it holds a delimiter, quote or line break
+export function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const NAME_ALIASES = new Set(['name','student','student_name','student name']);
+export const PROGRAM_ALIASES = new Set(['program','programme','study_program','study programme','studyprogram','major']);
+const ID_ALIASES = new Set(['id','student_id','student id','studentid','student_number','student number','studentnumber','email','e-mail']);
+
+// Positions of the name, program and optional ID columns in a header row (idIdx -1 when absent)
+function rosterColumnIndexes(headerRaw) {
+  const header = headerRaw.map(s => s.trim().toLowerCase());
+  let nameIdx = -1, progIdx = -1, idIdx = -1;
+  for (let i = 0; i < header.length; i++) {
+    if (NAME_ALIASES.has(header[i])) nameIdx = i;
+    if (PROGRAM_ALIASES.has(header[i])) progIdx = i;
+    if (ID_ALIASES.has(header[i]) && idIdx === -1) idIdx = i;
+  }
+  // Fallback: if exactly two columns and unknown headers, assume order: name, program
+  if (nameIdx === -1 || progIdx === -1) {
+    const others = header.map((_, i) => i).filter(i => i !== idIdx);
+    if (others.length >= 2) {
+      nameIdx = others[0];
+      progIdx = others[1];
+    } else {
+      throw new Error("Missing 'name' or 'program' header");
+    }
+  }
+  return { nameIdx, progIdx, idIdx };
+}
+
+// ID for a student the CSV gives none: name and program, numbered from the second student
+// sharing both, so reading the same roster again gives the same IDs
+export function generatedStudentId(name, program, taken) {
+  const base = `${name}:::${program}`;
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}#${n}`;
+  return id;
+}
+
+export function parseCSV(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = parseCSVRows(text, delimiter);
+  if (rows.length === 0) throw new Error('CSV is empty');
+  const headerRaw = rows[0].cells.map(s => s.trim());
+  const { nameIdx, progIdx, idIdx } = rosterColumnIndexes(headerRaw);
+  // Any other named column can be used as a balancing attribute
+  const columns = [];
+  for (let i = 0; i < headerRaw.length; i++) {
+    if (i !== nameIdx && i !== progIdx && i !== idIdx && headerRaw[i]) columns.push({ idx: i, name: headerRaw[i] });
+  }
+  const students = [];
+  const skipped = [];
+  const idLines = new Map();
+  for (const { line, cells } of rows.slice(1)) {
+    const name = (cells[nameIdx] || '').trim();
+    const program = (cells[progIdx] || '').trim();
+    if (!name || !program) {
+      skipped.push({ line, reason: !name && !program ? 'missing name and program' : (!name ? 'missing name' : 'missing program') });
+      continue;
+    }
+    const givenId = idIdx === -1 ? '' : (cells[idIdx] || '').trim();
+    if (givenId && idLines.has(givenId)) {
+      skipped.push({ line, reason: `ID ${givenId} is already used on line ${idLines.get(givenId)}` });
+      continue;
+    }
+    const id = givenId || generatedStudentId(name, program, idLines);
+    idLines.set(id, line);
+    const attrs = {};
+    for (const c of columns) attrs[c.name] = (cells[c.idx] || '').trim();
+    students.push({ id, name, program, attrs });
+  }
+  if (students.length === 0) throw new Error('No students found in CSV');
+  return { students, columns: columns.map(c => c.name), skipped, delimiter };
+}
+
+// Groups written by exportCSV (`group,name,program,status,id`), possibly edited since; the id,
+// role, room and ta columns are optional. Returns null for any other CSV, including rosters that
+// happen to have a status column with other values than present and absent; rows that cannot be placed
+// are reported in `skipped`. `rooms` and `tas` hold each group's room and TA (the first one given
+// in its rows).
+export function parseGroupsCSV(text) {
+  const rows = parseCSVRows(text, detectDelimiter(text));
+  if (rows.length === 0) return null;
+  const header = rows[0].cells.map(s => s.trim().toLowerCase());
+  const col = {};
+  for (const key of ['group', 'name', 'program', 'status']) {
+    col[key] = header.indexOf(key);
+    if (col[key] === -1) return null;
+  }
+  col.id = header.indexOf('id');
+  col.role = header.indexOf('role');
+  col.room = header.indexOf('room');
+  col.ta = header.indexOf('ta');
+  const statuses = rows.slice(1).map(({ cells }) => (cells[col.status] || '').trim().toLowerCase());
+  if (statuses.some(st => st && st !== 'present' && st !== 'absent')) return null;
+  const byGroup = new Map();
+  const roomByGroup = new Map();
+  const taByGroup = new Map();
+  const absent = [];
+  const skipped = [];
+  const seen = new Map();
+  for (const { line, cells } of rows.slice(1)) {
+    const cell = key => (col[key] === -1 ? '' : (cells[col[key]] || '')).trim();
+    const name = cell('name');
+    const program = cell('program');
+    const status = cell('status').toLowerCase() || 'present';
+    const group = cell('group');
+    if (!name || !program) {
+      skipped.push({ line, reason: !name && !program ? 'missing name and program' : (!name ? 'missing name' : 'missing program') });
+      continue;
+    }
+    const givenId = cell('id');
+    if (givenId && seen.has(givenId)) {
+      skipped.push({ line, reason: `ID ${givenId} is already listed on line ${seen.get(givenId)}` });
+      continue;
+    }
+    const id = givenId || generatedStudentId(name, program, seen);
+    if (status === 'absent') {
+      seen.set(id, line);
+      absent.push({ line, student: { id, name, program, attrs: {} } });
+    } else if (!/^\d+$/.test(group) || parseInt(group, 10) < 1) {
+      skipped.push({ line, reason: group ? `"${group}" is not a group number` : 'missing group' });
+    } else {
+      seen.set(id, line);
+      const index = parseInt(group, 10);
+      if (!byGroup.has(index)) byGroup.set(index, []);
+      const role = cell('role');
+      if (cell('room') && !roomByGroup.has(index)) roomByGroup.set(index, cell('room'));
+      if (cell('ta') && !taByGroup.has(index)) taByGroup.set(index, cell('ta'));
+      byGroup.get(index).push({ line, student: { id, name, program, attrs: {}, locked: false, ...(role ? { role } : {}) } });
+    }
+  }
+  // Gaps left by deleted groups close up; the order of group numbers is kept
+  const order = [...byGroup.keys()].sort((a, b) => a - b);
+  return {
+    groups: order.map(i => byGroup.get(i)),
+    rooms: order.map(i => roomByGroup.get(i) || null),
+    tas: order.map(i => taByGroup.get(i) || null),
+    absent,
+    skipped
+  };
+}
+
+// Roster text with one more student row, in the roster's own delimiter and column order
+export function appendRosterRow(text, student) {
+  if (!text) return `name,program\n${csvField(student.name)},${csvField(student.program)}`;
+  const delimiter = detectDelimiter(text);
+  const header = parseCSVRows(text, delimiter)[0].cells;
+  const { nameIdx, progIdx } = rosterColumnIndexes(header);
+  const cells = header.map(h => (student.attrs && student.attrs[h.trim()]) || '');
+  cells[nameIdx] = student.name;
+  cells[progIdx] = student.program;
+  return `${text}\n${cells.map(csvField).join(delimiter)}`;
+}
+
+// Spread of attribute values across groups: squared deviation from each group's proportional share
+function attributeImbalance(groups, attribute, totals, total) {
+  let cost = 0;
+  for (const g of groups) {
+    const counts = {};
+    for (const s of g) {
+      const v = s.attrs && s.attrs[attribute];
+      if (v) counts[v] = (counts[v] || 0) + 1;
+    }
+    for (const v in totals) {
+      const dev = (counts[v] || 0) - totals[v] * g.length / total;
+      cost += dev * dev;
+    }
+  }
+  return cost;
+}
+
+function attributeTotals(students, attribute) {
+  const totals = {};
+  for (const s of students) {
+    const v = s.attrs && s.attrs[attribute];
+    if (v) totals[v] = (totals[v] || 0) + 1;
+  }
+  return totals;
+}
+
+// Students are identified by ID. Records saved before IDs existed fall back to name and
+// program, which is also the ID generated for them (see generatedStudentId).
+export function studentKey(s) {
+  return s.id || `${s.name}:::${s.program}`;
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|||${b}` : `${b}|||${a}`;
+}
+
+// How often each pair of students has shared a group in earlier groupings ({ groups: [[key, ...], ...] })
+export function pastPairCounts(history) {
+  const counts = new Map();
+  for (const entry of history || []) {
+    for (const keys of entry.groups || []) {
+      for (let i = 0; i < keys.length; i++) {
+        for (let j = i + 1; j < keys.length; j++) {
+          const k = pairKey(keys[i], keys[j]);
+          counts.set(k, (counts.get(k) || 0) + 1);
+        }
+      }
+    }
+  }
+  return counts;
+}
+
+// How often each student has held each role in earlier sessions ({ roles: { [key]: role } })
+export function pastRoleCounts(history) {
+  const counts = new Map();
+  for (const entry of history || []) {
+    for (const [key, role] of Object.entries(entry.roles || {})) {
+      if (!counts.has(key)) counts.set(key, new Map());
+      const held = counts.get(key);
+      held.set(role, (held.get(role) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+// Repeating a role costs more than any difference in how many roles students have held overall
+const ROLE_REPEAT_WEIGHT = 1000;
+
+// Cheapest way to give roles[0..] to distinct candidates, as candidate indexes in role order.
+// Groups are small, so this searches every choice, cutting off branches that are already worse.
+function cheapestRoleHolders(costs, roleCount) {
+  const n = Math.min(roleCount, costs.length);
+  const used = new Array(costs.length).fill(false);
+  const chosen = [];
+  let best = [];
+  let bestCost = Infinity;
+  const search = (r, acc) => {
+    if (acc >= bestCost) return;
+    if (r === n) {
+      bestCost = acc;
+      best = chosen.slice();
+      return;
+    }
+    for (let i = 0; i < costs.length; i++) {
+      if (used[i]) continue;
+      used[i] = true;
+      chosen.push(i);
+      search(r + 1, acc + costs[i][r]);
+      chosen.pop();
+      used[i] = false;
+    }
+  };
+  search(0, 0);
+  return best;
+}
+
+// Hand out the class roles (e.g. facilitator, scribe) inside each group, one student per role and
+// the first roles first when a group is smaller than the list. Students get roles they have not
+// held before where possible, and those who have held fewest roles go first, so roles rotate
+// across sessions; ties are broken by the (seeded) shuffle.
+export function assignRoles(groups, roles, pastRoles, seed) {
+  const rng = (typeof seed === 'number') ? mulberry32(seed) : undefined;
+  return groups.map(g => {
+    // Pinned groups keep their roles
+    if (g.pinned) return g;
+    const students = g.students.map(({ role, ...s }) => s);
+    const candidates = students.slice();
+    shuffleInPlace(candidates, rng);
+    const costs = candidates.map(s => {
+      const held = (pastRoles && pastRoles.get(studentKey(s))) || new Map();
+      const total = [...held.values()].reduce((a, b) => a + b, 0);
+      return roles.map(role => ROLE_REPEAT_WEIGHT * (held.get(role) || 0) + total);
+    });
+    cheapestRoleHolders(costs, roles.length).forEach((i, r) => { candidates[i].role = roles[r]; });
+    return { ...g, students };
+  });
+}
+
+// Put groups in rooms ({ name, capacity }) without any room holding more students than its
+// capacity; several groups may share a room. Largest groups go first, each into the room with the
+// fewest seats left that still fits it, so small rooms are not wasted on small groups when a big
+// group needs them. Pinned groups keep the room they have. Returns the room name for each group,
+// null where no room has space.
+export function assignRooms(groups, rooms) {
+  const sizes = groups.map(g => (Array.isArray(g) ? g : g.students).length);
+  const seatsLeft = rooms.map(r => r.capacity);
+  const result = groups.map(() => null);
+  groups.forEach((g, i) => {
+    const r = g.pinned ? rooms.findIndex(room => room.name === g.room) : -1;
+    if (r === -1) return;
+    seatsLeft[r] -= sizes[i];
+    result[i] = rooms[r].name;
+  });
+  const order = sizes.map((_, i) => i).filter(i => result[i] === null).sort((a, b) => sizes[b] - sizes[a] || a - b);
+  for (const i of order) {
+    let best = -1;
+    for (let r = 0; r < rooms.length; r++) {
+      if (seatsLeft[r] >= sizes[i] && (best === -1 || seatsLeft[r] < seatsLeft[best])) best = r;
+    }
+    if (best === -1) continue;
+    seatsLeft[best] -= sizes[i];
+    result[i] = rooms[best].name;
+  }
+  return result;
+}
+
+// Share groups evenly among teaching assistants ({ name, programs }): every TA supervises the same
+// number of groups, give or take one. A TA listing programs goes to the groups with most students
+// from those programs. Pinned groups keep their TA. Returns the TA name for each group.
+export function assignTAs(groups, tas) {
+  const result = groups.map(() => null);
+  if (tas.length === 0) return result;
+  const load = tas.map(() => 0);
+  groups.forEach((g, i) => {
+    const t = g.pinned ? tas.findIndex(ta => ta.name === g.ta) : -1;
+    if (t === -1) return;
+    load[t]++;
+    result[i] = tas[t].name;
+  });
+  const share = Math.floor(groups.length / tas.length);
+  const extra = groups.length % tas.length;
+  const match = groups.map(g => tas.map(ta => {
+    const programs = new Set(ta.programs || []);
+    return (Array.isArray(g) ? g : g.students).filter(s => programs.has(s.program)).length;
+  }));
+  for (let left = result.filter(r => r === null).length; left > 0; left--) {
+    // TAs below their share, or at it while some of the extra groups are still free
+    const over = load.filter(n => n > share).length;
+    let open = tas.map((_, t) => t).filter(t => load[t] < share || (load[t] === share && over < extra));
+    // Pinned groups can leave some TAs over their share and nobody open
+    if (open.length === 0) open = tas.map((_, t) => t);
+    let best = null;
+    for (let i = 0; i < groups.length; i++) {
+      if (result[i] !== null) continue;
+      for (const t of open) {
+        if (!best || match[i][t] > match[best.i][best.t] || (match[i][t] === match[best.i][best.t] && load[t] < load[best.t])) best = { i, t };
+      }
+    }
+    load[best.t]++;
+    result[best.i] = tas[best.t].name;
+  }
+  return result;
+}
+
+// Number of pairs in the current groups that already worked together, weighted by how often
+export function countRepeatPairs(groups, pastPairs) {
+  if (!pastPairs || pastPairs.size === 0) return 0;
+  let repeats = 0;
+  for (const g of groups) {
+    const students = Array.isArray(g) ? g : g.students;
+    const keys = students.map(studentKey);
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        repeats += pastPairs.get(pairKey(keys[i], keys[j])) || 0;
+      }
+    }
+  }
+  return repeats;
+}
+
+export function studentScore(s, column) {
+  const raw = s.attrs && s.attrs[column];
+  if (raw === undefined || raw === '') return NaN;
+  return Number(String(raw).replace(',', '.'));
+}
+
+// Mean and standard deviation of a numeric column among the students that have a value
+export function scoreStats(students, column) {
+  const values = students.map(s => studentScore(s, column)).filter(Number.isFinite);
+  if (values.length === 0) return null;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / values.length;
+  return { mean, sd: Math.sqrt(variance), count: values.length };
+}
+
+// Student constraints: { type: 'together' | 'apart', members: [studentKey, ...] }.
+// Members that are not placed in any group (absent, removed from the CSV) are ignored.
+function constraintCost(groups, constraints) {
+  if (!constraints || constraints.length === 0) return 0;
+  const groupOf = new Map();
+  groups.forEach((g, i) => {
+    const students = Array.isArray(g) ? g : g.students;
+    for (const s of students) groupOf.set(studentKey(s), i);
+  });
+  let cost = 0;
+  for (const c of constraints) {
+    const placed = c.members.filter(k => groupOf.has(k)).map(k => groupOf.get(k));
+    if (c.type === 'together') {
+      cost += Math.max(0, new Set(placed).size - 1);
+    } else {
+      for (let i = 0; i < placed.length; i++) {
+        for (let j = i + 1; j < placed.length; j++) if (placed[i] === placed[j]) cost++;
+      }
+    }
+  }
+  return cost;
+}
+
+// Human-readable list of the student constraints the groups break
+export function constraintViolations(groups, constraints, groupSize) {
+  const errors = [];
+  if (!constraints || constraints.length === 0) return errors;
+  const groupOf = new Map();
+  const names = new Map();
+  groups.forEach((g, i) => {
+    const students = Array.isArray(g) ? g : g.students;
+    for (const s of students) {
+      groupOf.set(studentKey(s), i);
+      names.set(studentKey(s), s.name);
+    }
+  });
+  const label = (keys) => keys.map(k => names.get(k) || k.split(':::')[0]).join(', ');
+  for (const c of constraints) {
+    const placed = c.members.filter(k => groupOf.has(k));
+    if (c.type === 'together') {
+      if (new Set(placed.map(k => groupOf.get(k))).size <= 1) continue;
+      const reason = groupSize && placed.length > groupSize ? ` (${placed.length} students cannot fit in a group of ${groupSize})` : '';
+      errors.push(`${label(placed)} must be together but are split across groups${reason}.`);
+    } else {
+      const clash = placed.filter(k => placed.some(o => o !== k && groupOf.get(o) === groupOf.get(k)));
+      if (clash.length > 0) errors.push(`${label(clash)} must be apart but share a group.`);
+    }
+  }
+  return errors;
+}
+
+// Weights of the grouping score. Breaking a student constraint outweighs a missing program,
+// which outweighs uneven group sizes and every balancing goal.
+const CONSTRAINT_WEIGHT = 1000;
+const COVERAGE_WEIGHT = 100;
+const SIZE_WEIGHT = 50;
+// Repeating a past pairing costs more than any single attribute deviation
+const REPEAT_PAIR_WEIGHT = 10;
+// Default search budget for optimizeGroups
+const OPTIMIZER_TIME_BUDGET_MS = 1000;
+
+// Everything the score needs that does not change while students move between groups
+function createGroupingContext(groups, programs, options = {}) {
+  const all = groups.flat();
+  const balanceBy = options.balanceBy || [];
+  const scoreColumn = options.scoreColumn || null;
+  return {
+    programs,
+    total: all.length,
+    // Group sizes the size term aims for: even by default, or per group (see refillSlots)
+    targetSizes: options.targetSizes || groups.map(() => all.length / Math.max(1, groups.length)),
+    balanceBy,
+    attributeTotals: balanceBy.map(a => attributeTotals(all, a)),
+    // Earlier attributes in the priority list weigh more; the score counts like the last attribute
+    attributeWeights: balanceBy.map((_, i) => balanceBy.length - i),
+    scoreColumn,
+    overallScore: scoreColumn ? scoreStats(all, scoreColumn) : null,
+    // Parsed once, since the score is looked up on every step
+    scores: scoreColumn ? new Map(all.map(s => [s, studentScore(s, scoreColumn)])) : null,
+    pastPairs: options.pastPairs && options.pastPairs.size > 0 ? options.pastPairs : null,
+    constraints: options.constraints || [],
+    constrainedKeys: new Set((options.constraints || []).flatMap(c => c.members)),
+  };
+}
+
+// Score of a single group; lower is better. Runs on every optimizer step, hence the plain loops.
+function groupCost(students, ctx, targetSize) {
+  const present = new Set();
+  for (const s of students) present.add(s.program);
+  let missing = 0;
+  for (const p of ctx.programs) if (!present.has(p)) missing++;
+  const sizeDev = students.length - targetSize;
+  let cost = COVERAGE_WEIGHT * missing + SIZE_WEIGHT * sizeDev * sizeDev;
+  for (let i = 0; i < ctx.balanceBy.length; i++) {
+    cost += ctx.attributeWeights[i] * attributeImbalance([students], ctx.balanceBy[i], ctx.attributeTotals[i], ctx.total);
+  }
+  if (ctx.scores && ctx.overallScore && ctx.overallScore.sd > 0) {
+    let sum = 0, count = 0;
+    for (const s of students) {
+      const v = ctx.scores.get(s);
+      if (Number.isFinite(v)) { sum += v; count++; }
+    }
+    if (count > 0) {
+      const dev = sum / count - ctx.overallScore.mean;
+      cost += count * dev * dev / (ctx.overallScore.sd * ctx.overallScore.sd);
+    }
+  }
+  if (ctx.pastPairs) cost += REPEAT_PAIR_WEIGHT * countRepeatPairs([students], ctx.pastPairs);
+  return cost;
+}
+
+// Score of a whole grouping: the sum of group scores plus broken student constraints
+function groupingCost(groups, ctx) {
+  return groups.reduce((acc, g, i) => acc + groupCost(g, ctx, ctx.targetSizes[i]), 0)
+    + CONSTRAINT_WEIGHT * constraintCost(groups, ctx.constraints);
+}
+
+// Simulated annealing over the groups (arrays of students), mutated in place. Each step moves an
+// unlocked student to another group with room, or swaps two unlocked students, and is kept when
+// the score improves or, with a probability that shrinks as the search cools, when it worsens.
+// The number of steps depends only on the class size, so a seeded rng gives the same result every
+// time; timeBudgetMs only cuts the search short when a very large class would otherwise stall the page.
+function optimizeGroups(groups, capacity, ctx, rng, timeBudgetMs = OPTIMIZER_TIME_BUDGET_MS) {
+  const random = rng || Math.random;
+  const movable = groups.reduce((acc, g) => acc + g.filter(s => !s.locked).length, 0);
+  if (groups.length < 2 || movable === 0) return groupingCost(groups, ctx);
+  const capacities = groups.map((_, i) => Array.isArray(capacity) ? capacity[i] : capacity);
+  const costs = groups.map((g, i) => groupCost(g, ctx, ctx.targetSizes[i]));
+  let constraintPart = CONSTRAINT_WEIGHT * constraintCost(groups, ctx.constraints);
+  let current = costs.reduce((a, b) => a + b, 0) + constraintPart;
+  let best = current;
+  let bestGroups = groups.map(g => g.slice());
+
+  const steps = Math.min(100000, 300 * ctx.total);
+  const startTemp = 20;
+  const endTemp = 0.01;
+  const started = Date.now();
+  const unlockedIndices = (g) => {
+    const idx = [];
+    for (let i = 0; i < g.length; i++) if (!g[i].locked) idx.push(i);
+    return idx;
+  };
+
+  for (let step = 0; step < steps && best > 0; step++) {
+    if ((step & 1023) === 0 && Date.now() - started > timeBudgetMs) break;
+    const temp = startTemp * Math.pow(endTemp / startTemp, step / steps);
+    const a = Math.floor(random() * groups.length);
+    let b = Math.floor(random() * (groups.length - 1));
+    if (b >= a) b++;
+    const fromA = unlockedIndices(groups[a]);
+    if (fromA.length === 0) continue;
+    const i = fromA[Math.floor(random() * fromA.length)];
+    const sa = groups[a][i];
+
+    // Move when the other group has room (half of the time), otherwise swap
+    let undo;
+    let touched = [sa];
+    if (groups[b].length < capacities[b] && random() < 0.5) {
+      groups[a].splice(i, 1);
+      groups[b].push(sa);
+      undo = () => { groups[b].pop(); groups[a].splice(i, 0, sa); };
+    } else {
+      const fromB = unlockedIndices(groups[b]);
+      if (fromB.length === 0) continue;
+      const j = fromB[Math.floor(random() * fromB.length)];
+      const sb = groups[b][j];
+      groups[a][i] = sb; groups[b][j] = sa;
+      touched.push(sb);
+      undo = () => { groups[a][i] = sa; groups[b][j] = sb; };
+    }
+
+    const costA = groupCost(groups[a], ctx, ctx.targetSizes[a]);
+    const costB = groupCost(groups[b], ctx, ctx.targetSizes[b]);
+    const nextConstraintPart = ctx.constraints.length > 0 && touched.some(s => ctx.constrainedKeys.has(studentKey(s)))
+      ? CONSTRAINT_WEIGHT * constraintCost(groups, ctx.constraints)
+      : constraintPart;
+    const next = current - costs[a] - costs[b] + costA + costB - constraintPart + nextConstraintPart;
+    const delta = next - current;
+    if (delta <= 0 || random() < Math.exp(-delta / temp)) {
+      costs[a] = costA; costs[b] = costB;
+      constraintPart = nextConstraintPart;
+      current = next;
+      if (current < best - 1e-9) {
+        best = current;
+        bestGroups = groups.map(g => g.slice());
+      }
+    } else {
+      undo();
+    }
+  }
+
+  bestGroups.forEach((g, idx) => { groups[idx] = g; });
+  return best;
+}
+
+// Deal students into groups program by program, continuing round-robin where the previous
+// program stopped and skipping full groups. This spreads each program as widely as possible
+// and gives the optimizer a good starting point.
+function dealStudents(groups, students, capacity, rng) {
+  const byProgram = new Map();
+  for (const s of students) {
+    if (!byProgram.has(s.program)) byProgram.set(s.program, []);
+    byProgram.get(s.program).push(s);
+  }
+  const programs = Array.from(byProgram.keys()).sort();
+  for (const p of programs) shuffleInPlace(byProgram.get(p), rng);
+  const capacities = groups.map((_, i) => Array.isArray(capacity) ? capacity[i] : capacity);
+  let g = 0;
+  const leftover = [];
+  for (const p of programs) {
+    for (const s of byProgram.get(p)) {
+      let tries = 0;
+      while (tries < groups.length && groups[g].length >= capacities[g]) {
+        g = (g + 1) % groups.length;
+        tries++;
+      }
+      if (tries === groups.length) { leftover.push(s); continue; }
+      groups[g].push(s);
+      g = (g + 1) % groups.length;
+    }
+  }
+  return leftover;
+}
+
+// Attach missing programs and attribute imbalances to each group
+export function withGroupWarnings(groups, programs, options = {}) {
+  const placed = groups.flat();
+  return groups.map((students, i) => {
+    const presentPrograms = new Set(students.map(s => s.program));
+    const missingPrograms = programs.filter(p => !presentPrograms.has(p));
+    return {
+      index: i + 1,
+      students,
+      missingPrograms: missingPrograms.length > 0 ? missingPrograms : null,
+      attributeWarnings: groupAttributeWarnings(students, placed, options.balanceBy)
+    };
+  });
+}
+
+// Attribute values a group holds clearly more or fewer of than its proportional share
+function groupAttributeWarnings(students, allStudents, balanceBy) {
+  if (!balanceBy || balanceBy.length === 0 || allStudents.length === 0) return null;
+  const warnings = [];
+  for (const attribute of balanceBy) {
+    const totals = attributeTotals(allStudents, attribute);
+    const counts = attributeTotals(students, attribute);
+    for (const value of Object.keys(totals).sort()) {
+      const expected = totals[value] * students.length / allStudents.length;
+      const count = counts[value] || 0;
+      if (count > Math.ceil(expected)) warnings.push({ attribute, value, count, expected, kind: 'over' });
+      else if (count < Math.floor(expected)) warnings.push({ attribute, value, count, expected, kind: 'under' });
+    }
+  }
+  return warnings.length > 0 ? warnings : null;
+}
+
+// Number of groups and the largest allowed group for a class. By default the group size is given;
+// with options.numGroups the number of groups is fixed and the size follows, checked against the
+// optional options.minSize / options.maxSize.
+export function groupLayout(total, groupSize, options = {}) {
+  if (!options.numGroups) {
+    return { numGroups: Math.max(1, Math.ceil(total / groupSize)), groupSize };
+  }
+  const numGroups = options.numGroups;
+  if (numGroups <= 0) throw new Error('Number of groups must be positive');
+  if (numGroups > total) throw new Error(`Cannot make ${numGroups} groups from ${total} students.`);
+  const largest = Math.ceil(total / numGroups);
+  const smallest = Math.floor(total / numGroups);
+  if (options.maxSize && largest > options.maxSize) {
+    throw new Error(`${numGroups} groups would need groups of ${largest}, above the maximum size of ${options.maxSize}. Add groups or raise the maximum.`);
+  }
+  if (options.minSize && smallest < options.minSize) {
+    throw new Error(`${numGroups} groups would leave groups of ${smallest}, below the minimum size of ${options.minSize}. Use fewer groups or lower the minimum.`);
+  }
+  return { numGroups, groupSize: largest };
+}
+
+export function groupStudents(students, groupSize, seed, options = {}) {
+  if (!options.numGroups && groupSize <= 0) throw new Error('group_size must be positive');
+  const total = students.length;
+  if (total === 0) throw new Error('No students');
+
+  const programs = Array.from(new Set(students.map(s => s.program))).sort();
+  const rng = (typeof seed === 'number') ? mulberry32(seed) : undefined;
+  const layout = groupLayout(total, groupSize, options);
+  const numGroups = layout.numGroups;
+  groupSize = layout.groupSize;
+
+  const groups = Array.from({ length: numGroups }, () => []);
+  dealStudents(groups, students.map(s => ({ ...s, locked: false })), groupSize, rng);
+  optimizeGroups(groups, groupSize, createGroupingContext(groups, programs, options), rng, options.timeBudgetMs);
+
+  return {
+    groupSize,
+    numGroups,
+    programs,
+    groups: withGroupWarnings(groups, programs, options)
+  };
+}
+
+// Several rounds planned together (e.g. a workshop series). Each round is grouped like
+// groupStudents, counting the pairings of all earlier rounds (and options.pastPairs) as repeats,
+// so students meet as many different classmates as program coverage allows. Round r uses
+// seed + r, so a seeded plan is reproducible.
+export function planRotation(students, groupSize, rounds, seed, options = {}) {
+  if (!Number.isInteger(rounds) || rounds < 1) throw new Error('Number of rounds must be at least 1');
+  const pastPairs = new Map(options.pastPairs || []);
+  const plan = [];
+  for (let r = 0; r < rounds; r++) {
+    const result = groupStudents(students, groupSize, typeof seed === 'number' ? seed + r : undefined, { ...options, pastPairs });
+    plan.push(result);
+    for (const [k, n] of pastPairCounts([{ groups: result.groups.map(g => g.students.map(studentKey)) }])) {
+      pastPairs.set(k, (pastPairs.get(k) || 0) + n);
+    }
+  }
+  return plan;
+}
+
+// Pairing summary of a rotation: distinct pairs that meet, pairs that meet more than once, and
+// how many different classmates each student meets
+export function rotationStats(rounds) {
+  const counts = pastPairCounts(rounds.map(r => ({ groups: r.groups.map(g => g.students.map(studentKey)) })));
+  const students = rounds.length > 0 ? rounds[0].groups.flatMap(g => g.students) : [];
+  const met = new Map(students.map(s => [studentKey(s), 0]));
+  let repeatedPairs = 0;
+  let mostMeetings = 0;
+  for (const [k, n] of counts) {
+    for (const key of k.split('|||')) met.set(key, (met.get(key) || 0) + 1);
+    if (n > 1) repeatedPairs++;
+    mostMeetings = Math.max(mostMeetings, n);
+  }
+  const metCounts = [...met.values()];
+  return {
+    rounds: rounds.length,
+    pairs: counts.size,
+    repeatedPairs,
+    mostMeetings,
+    classmates: Math.max(0, students.length - 1),
+    minMet: metCounts.length > 0 ? Math.min(...metCounts) : 0,
+    maxMet: metCounts.length > 0 ? Math.max(...metCounts) : 0,
+    meanMet: metCounts.length > 0 ? metCounts.reduce((a, b) => a + b, 0) / metCounts.length : 0,
+    roundsMissingPrograms: rounds.filter(r => r.groups.some(g => g.missingPrograms)).length,
+  };
+}
+
+// Students a group may hold: its capacity override (e.g. a big table) or the group size
+export function groupCapacity(group, groupSize) {
+  return group.capacity || groupSize;
+}
+
+// Fill target groups ("slots": { students, capacity, pinned, group }) with the pool around the
+// locked students already in them, then optimize. Pinned groups are left exactly as they are;
+// the other groups aim for sizes in proportion to their capacity. Capacity overrides and pins
+// carry over to the result.
+function refillSlots(slots, pool, programs, rng, options) {
+  const free = slots.filter(slot => !slot.pinned);
+  const freeTotal = pool.length + free.reduce((n, slot) => n + slot.students.length, 0);
+  const freeCapacity = free.reduce((n, slot) => n + slot.capacity, 0);
+  if (freeTotal > freeCapacity) {
+    throw new Error(`${freeTotal} students do not fit in the ${freeCapacity} places outside pinned groups. Raise a group's capacity, the group size or the number of groups.`);
+  }
+  slots.forEach((slot, i) => {
+    if (!slot.pinned && slot.students.length > slot.capacity) {
+      throw new Error(`Group ${i + 1} has ${slot.students.length} locked students but room for ${slot.capacity}.`);
+    }
+  });
+  // Pinned groups count as full and locked while the others are filled around them
+  const working = slots.map(slot => (slot.pinned ? slot.students.map(s => ({ ...s, locked: true })) : slot.students.slice()));
+  const capacities = slots.map(slot => (slot.pinned ? slot.students.length : slot.capacity));
+  const targetSizes = slots.map(slot => (slot.pinned ? slot.students.length : freeTotal * slot.capacity / freeCapacity));
+  dealStudents(working, pool, capacities, rng);
+  optimizeGroups(working, capacities, createGroupingContext(working, programs, { ...options, targetSizes }), rng, options.timeBudgetMs);
+  const result = working.map((g, i) => (slots[i].pinned ? slots[i].group.students : g));
+  return withGroupWarnings(result, programs, options).map((g, i) => {
+    const from = slots[i].group;
+    if (!from) return g;
+    return {
+      ...g,
+      ...(from.capacity ? { capacity: from.capacity } : {}),
+      ...(from.pinned ? { pinned: true } : {}),
+      // A pinned group keeps its room as well
+      ...(from.pinned && from.room ? { room: from.room } : {})
+    };
+  });
+}
+
+// Locked students and pinned groups stay in place, everyone else is dealt again
+export function reshuffleRespectingLocks(groups, programs, groupSize, seed, options = {}) {
+  const rng = (typeof seed === 'number') ? mulberry32(seed) : undefined;
+  const slots = groups.map(g => ({
+    students: g.pinned ? g.students : g.students.filter(s => s.locked).map(s => ({ ...s, locked: true })),
+    capacity: groupCapacity(g, groupSize),
+    pinned: g.pinned === true,
+    group: g
+  }));
+  const unlockedPool = [];
+  for (const g of groups) {
+    if (g.pinned) continue;
+    for (const s of g.students) if (!s.locked) unlockedPool.push({ ...s, locked: false });
+  }
+  return refillSlots(slots, unlockedPool, programs, rng, options);
+}
+
+// Number of groups and plain group capacity when reshuffling into a group size (or
+// options.numGroups, see groupLayout). By group size there are as many groups as it takes to
+// seat everyone, counting capacity overrides and pinned groups as they are; by number of groups,
+// the groups without either may need to grow to take the students the others cannot.
+export function reshuffleLayout(groups, groupSize, options = {}) {
+  const totalStudents = groups.reduce((acc, g) => acc + g.students.length, 0);
+  const layout = groupLayout(totalStudents, groupSize, options);
+  let size = layout.groupSize;
+  if (!(size > 0)) throw new Error('group_size must be positive');
+  if (options.numGroups) {
+    const kept = groups.slice(0, layout.numGroups);
+    const pinnedStudents = kept.filter(g => g.pinned).reduce((n, g) => n + g.students.length, 0);
+    const overrideSeats = kept.filter(g => !g.pinned && g.capacity).reduce((n, g) => n + g.capacity, 0);
+    const plainGroups = layout.numGroups - kept.filter(g => g.pinned || g.capacity).length;
+    if (plainGroups > 0) size = Math.max(size, Math.ceil((totalStudents - pinnedStudents - overrideSeats) / plainGroups));
+    if (options.maxSize) size = Math.min(size, options.maxSize);
+    return { numGroups: layout.numGroups, groupSize: size };
+  }
+  const seatsOf = i => (groups[i] ? (groups[i].pinned ? groups[i].students.length : groupCapacity(groups[i], size)) : size);
+  let numGroups = 0;
+  let seats = 0;
+  while (seats < totalStudents) seats += seatsOf(numGroups++);
+  return { numGroups: Math.max(1, numGroups), groupSize: size };
+}
+
+// Reshuffle into a new layout (see reshuffleLayout). Existing groups keep their capacity override
+// and new ones get the group size. Pinned groups are kept as they are, and each group's locked
+// students stay together, in the same group where it still exists.
+export function reshuffleRespectingLocksToGroupSize(groups, programs, groupSize, seed, options = {}) {
+  const rng = (typeof seed === 'number') ? mulberry32(seed) : undefined;
+  const layout = reshuffleLayout(groups, groupSize, options);
+  const targetNumGroups = layout.numGroups;
+  groupSize = layout.groupSize;
+
+  const slotFor = (i) => {
+    const g = groups[i];
+    if (g && g.pinned) return { students: g.students, capacity: g.students.length, pinned: true, group: g };
+    return { students: [], capacity: g ? groupCapacity(g, groupSize) : groupSize, pinned: false, group: g };
+  };
+  const droppedPinned = groups.findIndex((g, i) => g.pinned && i >= targetNumGroups);
+  if (droppedPinned !== -1) {
+    throw new Error(`Group ${droppedPinned + 1} is pinned and would be removed. Unpin it or keep at least ${droppedPinned + 1} groups.`);
+  }
+  const slots = Array.from({ length: targetNumGroups }, (_, i) => slotFor(i));
+
+  const unlockedPool = [];
+  const lockedGroups = [];
+  groups.forEach((g, idx) => {
+    if (g.pinned) return;
+    for (const s of g.students) if (!s.locked) unlockedPool.push({ ...s, locked: false });
+    const locked = g.students.filter(s => s.locked).map(s => ({ ...s, locked: true }));
+    if (locked.length > 0) lockedGroups.push({ idx, locked });
+  });
+  // Locked cohorts keep their own group where it still exists, otherwise take the first free one
+  const homeless = [];
+  for (const c of lockedGroups) {
+    if (c.idx < targetNumGroups) slots[c.idx].students = c.locked;
+    else homeless.push(c);
+  }
+  for (const c of homeless) {
+    const slot = slots.findIndex(x => !x.pinned && x.students.length === 0);
+    if (slot === -1) throw new Error('Too many groups with locked students to merge without moving them.');
+    slots[slot].students = c.locked;
+  }
+
+  return refillSlots(slots, unlockedPool, programs, rng, options);
+}
+
+// Locked students stay together (one group per original group's locked students) and pinned
+// groups come through unchanged
+export function lockedStayInPlace(prevGroups, nextGroups) {
+  const members = g => g.students.map(studentKey).sort().join('|');
+  for (const g of prevGroups) {
+    if (g.pinned && !nextGroups.some(n => n.pinned && members(n) === members(g))) return false;
+  }
+  // Build original locked cohorts per group (as sets of keys) and a reverse map key->cohortId
+  const key = studentKey;
+  const cohorts = [];
+  const keyToCohort = new Map();
+  prevGroups.forEach((g, idx) => {
+    const set = new Set(g.students.filter(s => s.locked).map(key));
+    if (set.size > 0) {
+      const cohortId = cohorts.length;
+      cohorts.push(set);
+      for (const k of set) keyToCohort.set(k, cohortId);
+    }
+  });
+  // If there are no locked students at all, trivially ok
+  if (cohorts.length === 0) return true;
+  // Each cohort must appear entirely within a single next group, and no next group may contain locked from multiple cohorts
+  // Track which cohorts are satisfied and ensure injective mapping
+  const satisfied = new Array(cohorts.length).fill(false);
+  for (let i = 0; i < nextGroups.length; i++) {
+    const lockedKeys = nextGroups[i].students.filter(s => s.locked).map(key);
+    const cohortIdsInGroup = new Set();
+    for (const k of lockedKeys) {
+      if (keyToCohort.has(k)) cohortIdsInGroup.add(keyToCohort.get(k));
+    }
+    if (cohortIdsInGroup.size > 1) return false; // merged two cohorts
+    if (cohortIdsInGroup.size === 1) {
+      const cid = [...cohortIdsInGroup][0];
+      // group must contain all members of this cohort
+      for (const k of cohorts[cid]) {
+        if (!lockedKeys.includes(k)) return false; // split cohort
+      }
+      if (satisfied[cid]) return false; // same cohort mapped twice
+      satisfied[cid] = true;
+    }
+  }
+  // All cohorts must be satisfied
+  return satisfied.every(Boolean);
+}
+
+// Group a late arrival adds the most to: one missing their program first, then the smallest.
+// Full, pinned and fully locked groups are never picked; -1 when none is left.
+export function placementGroupIndex(groups, student, groupSize) {
+  let best = -1;
+  let bestRank = null;
+  groups.forEach((g, i) => {
+    if (g.pinned || g.students.length >= groupCapacity(g, groupSize)) return;
+    if (g.students.length > 0 && g.students.every(s => s.locked)) return;
+    const hasProgram = g.students.some(s => s.program === student.program);
+    const rank = [hasProgram ? 1 : 0, g.students.length];
+    if (!bestRank || rank[0] < bestRank[0] || (rank[0] === bestRank[0] && rank[1] < bestRank[1])) {
+      best = i;
+      bestRank = rank;
+    }
+  });
+  return best;
+}
+
+// Problems with a grouping: groups over their capacity (pinned groups are kept as they are),
+// missing programs and broken student constraints
+export function validateConstraints(groups, programs, groupSize, studentConstraints = []) {
+  const errors = [];
+  for (const g of groups) {
+    if (!g.pinned && g.students.length > groupCapacity(g, groupSize)) {
+      errors.push(g.capacity ? `Group ${g.index} exceeds its capacity of ${g.capacity}.` : `Group ${g.index} exceeds group size ${groupSize}.`);
+    }
+    const present = new Set(g.students.map(s => s.program));
+    const missing = programs.filter(p => !present.has(p));
+    if (missing.length) errors.push(`Group ${g.index} missing programs: ${missing.join(', ')}`);
+  }
+  errors.push(...constraintViolations(groups, studentConstraints, groupSize));
+  return errors;
+}
+
+// Group names per theme; 'numeric' and groups beyond a list's end get "Group N"
+const THEME_NAMES = {
+  greek: ['Alpha','Beta','Gamma','Delta','Epsilon','Zeta','Eta','Theta','Iota','Kappa','Lambda','Mu','Nu','Xi','Omicron','Pi','Rho','Sigma','Tau','Upsilon','Phi','Chi','Psi','Omega'],
+  colors: ['Red','Blue','Green','Yellow','Purple','Orange','Teal','Cyan','Magenta','Lime','Indigo','Violet','Amber','Rose','Emerald','Sapphire','Ruby','Topaz'],
+  animals: ['Lion','Tiger','Bear','Wolf','Eagle','Falcon','Dolphin','Fox','Owl','Hawk','Panther','Cheetah','Bison','Moose','Koala','Penguin','Otter','Orca'],
+  planets: ['Mercury','Venus','Earth','Mars','Jupiter','Saturn','Uranus','Neptune','Pluto'],
+  norse: ['Odin','Thor','Freya','Loki','Baldr','Frigg','Heimdall','Tyr','Njord','Sif','Skadi','Bragi'],
+  mathematicians: ['Gauss','Noether','Euler','Riemann','Hilbert','Poincaré','Cantor','Ramanujan','Hypatia','Archimedes','Cauchy','Fourier','Fermat','Galois','Lagrange'],
+  physicists: ['Newton','Einstein','Curie','Feynman','Hawking','Maxwell','Faraday','Bohr','Heisenberg','Schrödinger','Dirac','Planck','Galileo','Kepler'],
+  chemists: ['Lavoisier','Mendeleev','Dalton','Avogadro','Pauling','Kekulé','Haber','Curie','Bunsen','Priestley','Boyle','Berzelius'],
+  biologists: ['Darwin','Mendel','Pasteur','Linnaeus','Haeckel','Goodall','Franklin','Watson','Crick','Huxley','Monod','Margulis'],
+  philosophers: ['Plato','Aristotle','Kant','Hume','Nietzsche','Descartes','Spinoza','Kierkegaard','Wittgenstein','Confucius','Socrates','Heidegger'],
+  computerscience: ['Turing','Shannon','von Neumann','Knuth','Dijkstra','Hopper','Berners-Lee','Lamport','Ritchie','Torvalds','Kay','Backus'],
+  constellations: ['Orion','Lyra','Cygnus','Andromeda','Cassiopeia','Draco','Aquila','Pegasus','Phoenix','Ursa Major','Ursa Minor','Perseus'],
+};
+export const GROUP_THEMES = ['numeric', ...Object.keys(THEME_NAMES)];
+
+export function themedGroupNames(numGroups, theme) {
+  const list = THEME_NAMES[theme] || [];
+  const names = [];
+  for (let i = 0; i < numGroups; i++) {
+    names.push(list[i] ? list[i] : `Group ${i + 1}`);
+  }
+  return names;
+}
+
+// Export CSV: one `group,name,program,status,id` row per student, absent students without a group.
+// Role, room and ta columns follow when roles, rooms or TAs have been handed out.
+export function groupsToCSV(groups, absent = []) {
+  const withRoles = groups.some(g => g.students.some(s => s.role));
+  const withRooms = groups.some(g => g.room);
+  const withTAs = groups.some(g => g.ta);
+  const extras = (s, g) => [
+    ...(withRoles ? [s.role || ''] : []),
+    ...(withRooms ? [(g && g.room) || ''] : []),
+    ...(withTAs ? [(g && g.ta) || ''] : [])
+  ];
+  const lines = [['group', 'name', 'program', 'status', 'id', ...(withRoles ? ['role'] : []), ...(withRooms ? ['room'] : []), ...(withTAs ? ['ta'] : [])].join(',')];
+  // Present students from groups
+  for (const g of groups) {
+    for (const s of g.students) lines.push([g.index, s.name, s.program, 'present', studentKey(s), ...extras(s, g)].map(csvField).join(','));
+  }
+  // Absent students
+  for (const s of absent) lines.push(['', s.name, s.program, 'absent', studentKey(s), ...extras({}, null)].map(csvField).join(','));
+  return lines.join('\n');
+}
+
+function groupMarkdownLines(groups, names, heading) {
+  const lines = [];
+  for (let i = 0; i < groups.length; i++) {
+    const g = groups[i];
+    lines.push(`\n${heading} ${names[i]}${g.room ? ` (${g.room})` : ''}`);
+    for (const s of g.students) {
+      lines.push(`- ${s.name} (${s.program})${s.role ? ` – ${s.role}` : ''}`);
+    }
+  }
+  return lines;
+}
+
+export function groupsToMarkdown(groups, absent = [], theme = 'numeric') {
+  const lines = ['# Groups', ...groupMarkdownLines(groups, themedGroupNames(groups.length, theme), '##')];
+  if (absent.length > 0) {
+    lines.push(`\n## Absent`);
+    for (const s of absent) {
+      lines.push(`- ${s.name} (${s.program})`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// A whole rotation as one CSV: one `round,group,name,program,id` row per student and round
+export function rotationToCSV(rounds) {
+  const lines = ['round,group,name,program,id'];
+  rounds.forEach((r, i) => {
+    for (const g of r.groups) {
+      for (const s of g.students) lines.push([i + 1, g.index, s.name, s.program, studentKey(s)].map(csvField).join(','));
+    }
+  });
+  return lines.join('\n');
+}
+
+export function rotationToMarkdown(rounds, theme = 'numeric') {
+  const lines = ['# Rotation'];
+  rounds.forEach((r, i) => {
+    lines.push(`\n## Round ${i + 1}`, ...groupMarkdownLines(r.groups, themedGroupNames(r.groups.length, theme), '###'));
+  });
+  return lines.join('\n');
+}
+
+// One section per TA ({ name, programs }) with the groups they supervise and their students;
+// groups without a TA come last
+export function taSummaryMarkdown(groups, tas, theme = 'numeric') {
+  const names = themedGroupNames(groups.length, theme);
+  const lines = ['# Teaching assistants'];
+  const section = (heading, indexes) => {
+    const students = indexes.reduce((n, i) => n + groups[i].students.length, 0);
+    lines.push(`\n## ${heading}`, `${indexes.length} ${indexes.length === 1 ? 'group' : 'groups'}, ${students} ${students === 1 ? 'student' : 'students'}`);
+    lines.push(...groupMarkdownLines(indexes.map(i => groups[i]), indexes.map(i => names[i]), '###'));
+  };
+  for (const ta of tas) {
+    const programs = ta.programs && ta.programs.length > 0 ? ` (${ta.programs.join(', ')})` : '';
+    section(`${ta.name}${programs}`, groups.map((g, i) => (g.ta === ta.name ? i : -1)).filter(i => i !== -1));
+  }
+  const known = new Set(tas.map(ta => ta.name));
+  const rest = groups.map((g, i) => (known.has(g.ta) ? -1 : i)).filter(i => i !== -1);
+  if (rest.length > 0) section('No TA', rest);
+  return lines.join('\n');
+}
+
+// Exported sessions (Export JSON, share links, the command line tool's JSON output)
+export const SESSION_FORMAT = 'create-student-groups/session';
+export const SESSION_VERSION = 1;
+
+// Check an imported session file and fill in defaults; throws on anything we cannot restore
+export function parseSession(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (_) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!data || data.format !== SESSION_FORMAT) throw new Error('The file is not an exported session.');
+  if (data.version > SESSION_VERSION) throw new Error(`The session was exported by a newer version (format ${data.version}).`);
+  const readStudent = (s, where) => {
+    if (!s || typeof s.name !== 'string' || typeof s.program !== 'string') throw new Error(`A student in ${where} is missing a name or program.`);
+    return {
+      id: studentKey(s),
+      name: s.name,
+      program: s.program,
+      attrs: s.attrs && typeof s.attrs === 'object' ? s.attrs : {},
+      locked: s.locked === true,
+      ...(typeof s.role === 'string' && s.role ? { role: s.role } : {})
+    };
+  };
+  if (!Array.isArray(data.groups)) throw new Error('The session has no groups.');
+  const groups = data.groups.map((g, i) => {
+    if (!g || !Array.isArray(g.students)) throw new Error(`Group ${i + 1} has no student list.`);
+    return g.students.map(s => readStudent(s, `group ${i + 1}`));
+  });
+  const absent = (Array.isArray(data.absent) ? data.absent : []).map(s => {
+    const { locked, role, ...student } = readStudent(s, 'the absent list');
+    return student;
+  });
+  const sizing = data.sizing || {};
+  return {
+    className: typeof data.className === 'string' ? data.className : '',
+    csv: typeof data.csv === 'string' ? data.csv : '',
+    programs: Array.isArray(data.programs) ? data.programs : [...new Set(groups.flat().map(s => s.program))],
+    groupSize: data.groupSize || Math.max(0, ...groups.map(g => g.length)),
+    sizing: {
+      mode: sizing.mode === 'groups' ? 'groups' : 'size',
+      numGroups: sizing.numGroups || groups.length,
+      minSize: sizing.minSize || 0,
+      maxSize: sizing.maxSize || 0
+    },
+    theme: typeof data.theme === 'string' ? data.theme : 'numeric',
+    seed: Number.isInteger(data.seed) ? data.seed : null,
+    balanceBy: Array.isArray(data.balanceBy) ? data.balanceBy : [],
+    scoreColumn: typeof data.scoreColumn === 'string' ? data.scoreColumn : '',
+    constraints: Array.isArray(data.constraints) ? data.constraints.filter(c => c && (c.type === 'together' || c.type === 'apart') && Array.isArray(c.members) && c.members.every(m => typeof m === 'string')) : [],
+    roles: Array.isArray(data.roles) ? data.roles.filter(r => typeof r === 'string') : [],
+    rooms: Array.isArray(data.rooms) ? data.rooms.filter(r => r && typeof r.name === 'string' && r.capacity > 0) : [],
+    tas: Array.isArray(data.tas) ? data.tas.filter(t => t && typeof t.name === 'string').map(t => ({ name: t.name, programs: Array.isArray(t.programs) ? t.programs : [] })) : [],
+    groups,
+    groupRooms: data.groups.map(g => (typeof g.room === 'string' && g.room ? g.room : null)),
+    groupCapacities: data.groups.map(g => (Number.isInteger(g.capacity) && g.capacity > 0 ? g.capacity : null)),
+    pinnedGroups: data.groups.map(g => g.pinned === true),
+    groupTAs: data.groups.map(g => (typeof g.ta === 'string' && g.ta ? g.ta : null)),
+    absent
+  };
+}
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseGroupsCSV, parseSession } from '../docs/engine.js';
+
+const CLI = fileURLToPath(new URL('../bin/create-student-groups.js', import.meta.url));
+const ROSTER = ['name,program', ...Array.from({ length: 12 }, (_, i) => `Student ${i + 1},${['CS', 'Math', 'Physics'][i % 3]}`)].join('\n');
+
+function run(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('command-line tool', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'groups-cli-'));
+  const roster = join(dir, 'lab-a.csv');
+  await writeFile(roster, ROSTER);
+  try {
+    await t.test('writes groups in the Export CSV format', async () => {
+      const { code, stdout } = await run([roster, '--size', '3', '--seed', '4']);
+      assert.equal(code, 0);
+      assert.ok(stdout.startsWith('group,name,program,status,id\n'));
+      const { groups, absent } = parseGroupsCSV(stdout);
+      assert.equal(groups.length, 4);
+      assert.equal(absent.length, 0);
+    });
+
+    await t.test('the same seed gives the same output', async () => {
+      const a = await run([roster, '--groups', '3', '--seed', '8', '--format', 'md']);
+      const b = await run([roster, '--groups', '3', '--seed', '8', '--format', 'md']);
+      assert.equal(a.stdout, b.stdout);
+    });
+
+    await t.test('writes themed Markdown', async () => {
+      const { code, stdout } = await run([roster, '-s', '4', '--seed', '1', '-t', 'greek', '-f', 'markdown']);
+      assert.equal(code, 0);
+      assert.match(stdout, /^# Groups\n\n## Alpha\n/);
+    });
+
+    await t.test('writes a session JSON file the page can load', async () => {
+      const out = join(dir, 'lab-a.json');
+      const { code, stdout } = await run([roster, '-g', '3', '--seed', '2', '-f', 'json', '-o', out]);
+      assert.equal(code, 0);
+      assert.equal(stdout, '');
+      const session = parseSession(await readFile(out, 'utf8'));
+      assert.equal(session.className, 'lab-a');
+      assert.equal(session.seed, 2);
+      assert.equal(session.sizing.mode, 'groups');
+      assert.equal(session.groups.length, 3);
+      assert.equal(session.csv, ROSTER);
+    });
+
+    await t.test('exits with 1 when groups miss a program', async () => {
+      const { code, stdout, stderr } = await run([roster, '--size', '2', '--seed', '1']);
+      assert.equal(code, 1);
+      assert.ok(stdout.startsWith('group,name,program,status,id\n'));
+      assert.match(stderr, /Group \d+ is missing: /);
+    });
+
+    await t.test('exits with 2 on bad arguments', async () => {
+      assert.equal((await run([roster])).code, 2);
+      assert.equal((await run([roster, '--size', '3', '--groups', '2'])).code, 2);
+      assert.equal((await run([roster, '--size', '3', '--theme', 'nope'])).code, 2);
+      assert.equal((await run([join(dir, 'missing.csv'), '--size', '3'])).code, 2);
+    });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,253 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCSV,
+  groupStudents,
+  reshuffleRespectingLocks,
+  reshuffleRespectingLocksToGroupSize,
+  lockedStayInPlace,
+  validateConstraints,
+  constraintViolations,
+  studentKey,
+  planRotation,
+  rotationStats,
+  pastPairCounts,
+  assignRoles,
+  pastRoleCounts,
+  assignRooms,
+  groupsToCSV,
+  parseGroupsCSV,
+  reshuffleLayout,
+  assignTAs,
+  taSummaryMarkdown,
+  parseSession,
+  SESSION_FORMAT,
+} from '../docs/engine.js';
+
+// 24 students over three programs, eight each
+const ROSTER = ['name,program', ...Array.from({ length: 24 }, (_, i) => `Student ${i + 1},${['CS', 'Math', 'Physics'][i % 3]}`)].join('\n');
+
+const names = groups => groups.map(g => g.students.map(s => s.name));
+
+test('parseCSV reads students, generates stable IDs and reports skipped rows', () => {
+  const { students, columns, skipped } = parseCSV('name,program,campus\nOla,CS,Oslo\nOla,CS,Bergen\n,Math,Oslo');
+  assert.deepEqual(students.map(s => s.id), ['Ola:::CS', 'Ola:::CS#2']);
+  assert.deepEqual(columns, ['campus']);
+  assert.equal(students[1].attrs.campus, 'Bergen');
+  assert.deepEqual(skipped, [{ line: 4, reason: 'missing name' }]);
+});
+
+test('parseCSV uses an ID column when present', () => {
+  const { students, skipped } = parseCSV('email;name;program\nola@uni.no;Ola;CS\nola@uni.no;Ola;CS\nkari@uni.no;Kari;Math');
+  assert.deepEqual(students.map(s => s.id), ['ola@uni.no', 'kari@uni.no']);
+  assert.equal(skipped.length, 1);
+});
+
+test('the same seed gives the same groups', () => {
+  const { students } = parseCSV(ROSTER);
+  const a = groupStudents(students, 4, 42);
+  const b = groupStudents(students, 4, 42);
+  assert.deepEqual(names(a.groups), names(b.groups));
+  const c = groupStudents(students, 4, 7);
+  assert.notDeepEqual(names(a.groups), names(c.groups));
+});
+
+test('every student is placed exactly once and groups cover all programs', () => {
+  const { students } = parseCSV(ROSTER);
+  const { groups, programs, groupSize } = groupStudents(students, 4, 1);
+  assert.equal(groups.length, 6);
+  const placed = groups.flatMap(g => g.students.map(studentKey)).sort();
+  assert.deepEqual(placed, students.map(studentKey).sort());
+  for (const g of groups) {
+    assert.ok(g.students.length <= groupSize);
+    assert.equal(g.missingPrograms, null);
+  }
+  assert.deepEqual(validateConstraints(groups, programs, groupSize), []);
+});
+
+test('a fixed number of groups splits students evenly', () => {
+  const { students } = parseCSV(ROSTER);
+  const { groups } = groupStudents(students, 0, 3, { numGroups: 5 });
+  assert.deepEqual(groups.map(g => g.students.length).sort(), [4, 5, 5, 5, 5]);
+});
+
+test('reshuffling keeps locked students in their group', () => {
+  const { students } = parseCSV(ROSTER);
+  const { groups, programs } = groupStudents(students, 4, 5);
+  groups[0].students[0].locked = true;
+  groups[0].students[1].locked = true;
+  groups[3].students[2].locked = true;
+  const next = reshuffleRespectingLocks(groups, programs, 4, 9);
+  assert.deepEqual(next[0].students.filter(s => s.locked).map(studentKey), [groups[0].students[0], groups[0].students[1]].map(studentKey));
+  assert.deepEqual(next[3].students.filter(s => s.locked).map(studentKey), [studentKey(groups[3].students[2])]);
+  assert.ok(lockedStayInPlace(groups, next));
+});
+
+test('resizing keeps locked cohorts together', () => {
+  const { students } = parseCSV(ROSTER);
+  const { groups, programs } = groupStudents(students, 4, 5);
+  groups[1].students[0].locked = true;
+  groups[1].students[1].locked = true;
+  const next = reshuffleRespectingLocksToGroupSize(groups, programs, 6, 2);
+  assert.equal(next.length, 4);
+  assert.ok(lockedStayInPlace(groups, next));
+  assert.equal(next.reduce((n, g) => n + g.students.length, 0), 24);
+});
+
+test('reshuffling honours capacity overrides and leaves pinned groups alone', () => {
+  const { students } = parseCSV(ROSTER);
+  const { groups, programs } = groupStudents(students, 4, 5);
+  groups[0].capacity = 6;
+  groups[2].pinned = true;
+  const pinned = groups[2].students.map(studentKey);
+  const next = reshuffleRespectingLocks(groups, programs, 4, 3);
+  // Free seats are shared in proportion to capacity
+  assert.ok(next[0].students.length > 4 && next[0].students.length <= 6);
+  assert.deepEqual(next[2].students.map(studentKey), pinned);
+  assert.ok(next[2].pinned);
+  const resized = reshuffleRespectingLocksToGroupSize(groups, programs, 5, 3);
+  assert.equal(resized.length, reshuffleLayout(groups, 5).numGroups);
+  assert.deepEqual(resized[2].students.map(studentKey), pinned);
+  assert.equal(resized.reduce((n, g) => n + g.students.length, 0), 24);
+  assert.ok(lockedStayInPlace(groups, resized));
+});
+
+test('validateConstraints checks each group against its own capacity', () => {
+  const { students } = parseCSV(ROSTER);
+  const { groups, programs } = groupStudents(students, 4, 5);
+  groups[0].students.push(groups[1].students.pop());
+  assert.ok(validateConstraints(groups, programs, 4).includes('Group 1 exceeds group size 4.'));
+  groups[0].capacity = 5;
+  groups[1].capacity = 2;
+  const errors = validateConstraints(groups, programs, 4).filter(e => e.includes('exceeds'));
+  assert.deepEqual(errors, ['Group 2 exceeds its capacity of 2.']);
+});
+
+test('student constraints are honoured when they can be', () => {
+  const { students } = parseCSV(ROSTER);
+  const [a, b, c] = students.map(studentKey);
+  const constraints = [{ type: 'together', members: [a, b] }, { type: 'apart', members: [a, c] }];
+  const { groups, programs, groupSize } = groupStudents(students, 4, 11, { constraints });
+  assert.deepEqual(validateConstraints(groups, programs, groupSize, constraints), []);
+});
+
+test('a rotation keeps repeat pairings lower than independent rounds', () => {
+  const { students } = parseCSV(ROSTER);
+  const plan = planRotation(students, 4, 4, 1);
+  assert.equal(plan.length, 4);
+  for (const round of plan) assert.ok(round.groups.every(g => g.missingPrograms === null));
+  const independent = [1, 101, 201, 301].map(seed => groupStudents(students, 4, seed));
+  assert.ok(rotationStats(plan).repeatedPairs < rotationStats(independent).repeatedPairs);
+  assert.deepEqual(names(planRotation(students, 4, 4, 1)[3].groups), names(plan[3].groups));
+});
+
+test('a rotation counts earlier pairings as already met', () => {
+  const { students } = parseCSV(ROSTER);
+  const earlier = groupStudents(students, 4, 9).groups;
+  const pastPairs = pastPairCounts([{ groups: earlier.map(g => g.students.map(studentKey)) }]);
+  const stats = rotationStats([{ groups: earlier }, ...planRotation(students, 4, 1, 2, { pastPairs })]);
+  assert.equal(stats.mostMeetings, 1);
+});
+
+test('roles go to students who have held them least', () => {
+  const { students } = parseCSV(ROSTER);
+  const roles = ['Facilitator', 'Scribe', 'Presenter'];
+  const history = [];
+  let groups = groupStudents(students, 4, 1).groups;
+  for (let session = 0; session < 4; session++) {
+    groups = assignRoles(groups, roles, pastRoleCounts(history), session);
+    for (const g of groups) assert.deepEqual(g.students.map(s => s.role).filter(Boolean).sort(), roles.slice().sort());
+    history.push({ roles: Object.fromEntries(groups.flatMap(g => g.students.filter(s => s.role).map(s => [studentKey(s), s.role]))) });
+  }
+  // Four sessions with three roles in groups of four: everyone has held three different roles
+  for (const held of pastRoleCounts(history).values()) {
+    assert.equal([...held.values()].reduce((a, b) => a + b, 0), 3);
+    assert.ok([...held.values()].every(n => n === 1));
+  }
+});
+
+test('rooms are filled without going over capacity', () => {
+  const groups = [5, 4, 4, 3].map(n => Array.from({ length: n }, (_, i) => ({ name: `S${i}`, program: 'CS' })));
+  const rooms = [{ name: 'Hall', capacity: 8 }, { name: 'Lab', capacity: 5 }, { name: 'Nook', capacity: 3 }];
+  const placed = assignRooms(groups, rooms);
+  assert.deepEqual(placed, ['Lab', 'Hall', 'Hall', 'Nook']);
+  assert.deepEqual(assignRooms(groups, rooms.slice(0, 2)), ['Lab', 'Hall', 'Hall', null]);
+});
+
+test('groups are shared evenly among TAs, matching programs where asked', () => {
+  const group = programs => programs.map((program, i) => ({ name: `S${i}`, program }));
+  const groups = [group(['CS', 'CS', 'Math']), group(['Math', 'Math', 'CS']), group(['CS', 'Bio']), group(['Bio', 'Bio', 'Math']), group(['CS', 'Math', 'Bio'])];
+  assert.deepEqual(assignTAs(groups, [{ name: 'Kari' }, { name: 'Ola' }]), ['Kari', 'Ola', 'Kari', 'Ola', 'Kari']);
+  const tas = [{ name: 'Kari', programs: ['Bio'] }, { name: 'Ola', programs: ['CS'] }, { name: 'Nils', programs: [] }];
+  assert.deepEqual(assignTAs(groups, tas), ['Ola', 'Ola', 'Kari', 'Kari', 'Nils']);
+  const summary = taSummaryMarkdown(groups.map((students, i) => ({ students, ta: assignTAs(groups, tas)[i] })), tas);
+  assert.match(summary, /## Kari \(Bio\)\n2 groups, 5 students\n\n### Group 3\n/);
+});
+
+test('roles, rooms and TAs survive an Export CSV round trip', () => {
+  const { students } = parseCSV(ROSTER);
+  const { groups } = groupStudents(students, 6, 1);
+  const withExtras = assignRoles(groups, ['Facilitator'], null, 1).map((g, i) => ({ ...g, room: `Room ${i + 1}`, ta: i < 2 ? 'Kari' : 'Ola' }));
+  const parsed = parseGroupsCSV(groupsToCSV(withExtras));
+  assert.deepEqual(parsed.rooms, ['Room 1', 'Room 2', 'Room 3', 'Room 4']);
+  assert.deepEqual(parsed.tas, ['Kari', 'Kari', 'Ola', 'Ola']);
+  assert.deepEqual(parsed.groups.map(g => g.filter(e => e.student.role === 'Facilitator').length), [1, 1, 1, 1]);
+});
+
+test('a roster with a status column is not taken for an Export CSV file', () => {
+  assert.equal(parseGroupsCSV('group,name,program,status\n1,Ola,CS,enrolled\n2,Kari,Math,waitlisted'), null);
+  const parsed = parseGroupsCSV('group,name,program,status\n1,Ola,CS,present\n,Kari,Math,Absent');
+  assert.equal(parsed.groups.length, 1);
+  assert.equal(parsed.absent.length, 1);
+});
+
+test('a session keeps only well-formed constraints', () => {
+  const session = parseSession(JSON.stringify({
+    format: SESSION_FORMAT,
+    groups: [{ students: [{ name: 'Ola', program: 'CS' }, { name: 'Kari', program: 'Math' }] }],
+    constraints: [{ type: 'apart' }, { type: 'near', members: ['a', 'b'] }, { type: 'together', members: ['a', 7] }, null, { type: 'together', members: ['a', 'b'] }]
+  }));
+  assert.deepEqual(session.constraints, [{ type: 'together', members: ['a', 'b'] }]);
+});
+
+test('infeasible setups are reported', async (t) => {
+  const { students } = parseCSV(ROSTER);
+
+  await t.test('groups smaller than the number of programs miss programs', () => {
+    const { groups, programs, groupSize } = groupStudents(students, 2, 1);
+    assert.ok(groups.some(g => g.missingPrograms));
+    assert.ok(validateConstraints(groups, programs, groupSize).some(e => e.includes('missing programs')));
+  });
+
+  await t.test('more groups than students throws', () => {
+    assert.throws(() => groupStudents(students.slice(0, 3), 0, 1, { numGroups: 4 }), /Cannot make 4 groups from 3 students/);
+  });
+
+  await t.test('bounds that no split satisfies throw', () => {
+    assert.throws(() => groupStudents(students, 0, 1, { numGroups: 3, maxSize: 6 }), /above the maximum size/);
+  });
+
+  await t.test('an empty roster throws', () => {
+    assert.throws(() => parseCSV('name,program\n'), /No students found/);
+    assert.throws(() => groupStudents([], 4, 1), /No students/);
+  });
+
+  await t.test('merging more locked groups than remain throws', () => {
+    const { groups, programs } = groupStudents(students, 4, 5);
+    for (const g of groups) g.students[0].locked = true;
+    assert.throws(() => reshuffleRespectingLocksToGroupSize(groups, programs, 8, 1), /Too many groups with locked students/);
+  });
+
+  await t.test('removing a pinned group throws', () => {
+    const { groups, programs } = groupStudents(students, 4, 5);
+    groups[5].pinned = true;
+    assert.throws(() => reshuffleRespectingLocksToGroupSize(groups, programs, 8, 1), /Group 6 is pinned/);
+  });
+
+  await t.test('students who must be apart cannot outnumber the groups', () => {
+    const members = students.slice(0, 7).map(studentKey);
+    const constraints = [{ type: 'apart', members }];
+    const { groups } = groupStudents(students, 4, 3, { constraints });
+    assert.ok(constraintViolations(groups, constraints, 4).length > 0);
+  });
+});